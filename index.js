@@ -1,12 +1,44 @@
 // ========================================
 // 隙音 LINE Bot - Render (V3.3 - 正式版)
 // ========================================
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const line = require('@line/bot-sdk');
 const cron = require('node-cron');
-const { GoogleSpreadsheet } = require('google-spreadsheet');
 const { JWT } = require('google-auth-library');
-const OpenAI = require('openai');
+const { createStorage, createCachedStorage } = require('./src/storage');
+const { createRunLedger, ledgerKey, JOBS, OUTCOMES } = require('./src/runLedger');
+const { createDeliveryQueue } = require('./src/delivery');
+const { createBlobStore } = require('./src/blobStore');
+const { EXPORT_FORMATS, MARKDOWN_LABEL_IDS, createExportSigner, buildJournal, renderJournal } = require('./src/journalExport');
+const { createCommandRouter } = require('./src/commandRouter');
+const { parseList } = require('./src/listParser');
+const { createLlmClient, loadPromptConfig } = require('./src/llm');
+const { estimateTokens, truncateToTokens, buildWeekSections } = require('./src/promptBuilder');
+const { createRedactionSession } = require('./src/redaction');
+const { parseReflectionRange, buildThemeStats, formatThemeStats } = require('./src/reflection');
+const { computeStats, findNewMilestones } = require('./src/stats');
+const { pickQuestion, parseTagWeights } = require('./src/questionPicker');
+const { buildPrograms, getProgramWeek, findProgram } = require('./src/programs');
+const { DEFAULT_THEMES, buildThemes, toThemeMap, findTheme, buildThemePicker } = require('./src/themes');
+const { TEMPLATE_IDS, parseTemplate, renderQuestionCard, renderRecordCarousel, renderInsightCard } = require('./src/flexRenderer');
+const { buildAction, buildQuickReplyItem, validateAction, validateQuickReplyItem } = require('./src/messageActions');
+const { createRichMenuManager, getMenuKey, MENU_KEYS } = require('./src/richMenus');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, normalizeLocale, localeRank, pickLocalized, formatMessage, getCatalogEntry, findSupportedLocale } = require('./src/i18n');
+const { STATES, EVENTS, normalizeStatus, resolveTransition, canTransition, createStatusHistory } = require('./src/userStateMachine');
+const {
+  DEFAULT_TIMEZONE,
+  resolveTimezone,
+  getZonedParts,
+  getDateString,
+  getMonthString,
+  getDayString,
+  getWeekString,
+  addDays,
+  isLastDayOfMonth,
+  isLastDayOfYear,
+} = require('./src/time');
 
 // --- 1. 初始化設定 ---
 
@@ -15,9 +47,12 @@ const lineConfig = {
   channelSecret: process.env.CHANNEL_SECRET,
 };
 
+// 儲存後端：sheets（預設，Google Sheets）或 local（本機 JSON 檔，離線開發用）
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'sheets';
+
 // 安全地處理 Google Private Key（避免 undefined 錯誤）
 const googlePrivateKey = process.env.GOOGLE_PRIVATE_KEY;
-if (!googlePrivateKey) {
+if (!googlePrivateKey && STORAGE_BACKEND === 'sheets') {
   console.error('WARNING: GOOGLE_PRIVATE_KEY environment variable is not set');
 }
 
@@ -27,48 +62,121 @@ const serviceAccountAuth = new JWT({
   scopes: ['https://www.googleapis.com/auth/spreadsheets'],
 });
 
-const openai = new OpenAI({
+// AI 總結：LLM_PROVIDER=openai（預設）/ compatible（LLM_BASE_URL 指向相容 OpenAI 的端點）/ stub（測試用，不連網路）
+// 模型與參數可依 prompt 類型分別設定，見 src/llm.js
+const llm = createLlmClient({
+  provider: process.env.LLM_PROVIDER || 'openai',
   apiKey: process.env.OPENAI_API_KEY,
+  baseURL: process.env.LLM_BASE_URL,
+  promptConfigs: {
+    WEEKLY_AI_PROMPT: loadPromptConfig('WEEKLY_AI_PROMPT'),
+    MONTHLY_AI_PROMPT: loadPromptConfig('MONTHLY_AI_PROMPT'),
+    MONTHLY_WEEK_DIGEST_PROMPT: loadPromptConfig('MONTHLY_WEEK_DIGEST_PROMPT'),
+    YEARLY_AI_PROMPT: loadPromptConfig('YEARLY_AI_PROMPT'),
+    RANGE_AI_PROMPT: loadPromptConfig('RANGE_AI_PROMPT'),
+  },
 });
+// 月回顧、年度回顧、自訂期間回顧的 prompt（system + user）估算 token 上限；超過時先逐週摘要再合併
+const AI_PROMPT_TOKEN_BUDGET = Number(process.env.AI_PROMPT_TOKEN_BUDGET || process.env.MONTHLY_PROMPT_TOKEN_BUDGET) || 6000;
 
 const SPREADSHEET_ID = '1TMyXHW2BaYJ3l8p1EdCQfb9Vhx_fJUrAZAEVOSBiom0';
-const doc = new GoogleSpreadsheet(SPREADSHEET_ID, serviceAccountAuth);
-
-// 安全的 loadInfo 包裝函數，帶重試機制和詳細錯誤處理
-async function safeLoadInfo(maxRetries = 3, timeout = 10000) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`[safeLoadInfo] Attempt ${attempt}/${maxRetries} to load spreadsheet info`);
-      await Promise.race([
-        doc.loadInfo(),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error(`Spreadsheet load timeout after ${timeout}ms`)), timeout)
-        )
-      ]);
-      console.log(`[safeLoadInfo] Successfully loaded spreadsheet: ${doc.title}`);
-      return true;
-    } catch (error) {
-      console.error(`[safeLoadInfo] Attempt ${attempt} failed:`, error.message);
-      if (error.response) {
-        console.error(`[safeLoadInfo] API Response Status: ${error.response.status}`);
-        console.error(`[safeLoadInfo] API Response Data:`, JSON.stringify(error.response.data, null, 2));
-      }
-
-      // 如果是最後一次嘗試，拋出錯誤
-      if (attempt === maxRetries) {
-        console.error(`[safeLoadInfo] All ${maxRetries} attempts failed`);
-        throw error;
-      }
 
-      // 等待後重試（指數退避）
-      const waitTime = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
-      console.log(`[safeLoadInfo] Waiting ${waitTime}ms before retry...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-  }
+// 快取 TTL：Messages / Questions 是人工編輯的內容，變動少；Answers 變動較頻繁
+const CONTENT_CACHE_TTL_MS = Number(process.env.CONTENT_CACHE_TTL_MS) || 5 * 60 * 1000;
+const ANSWERS_CACHE_TTL_MS = Number(process.env.ANSWERS_CACHE_TTL_MS) || 60 * 1000;
+
+const storage = createCachedStorage(createStorage({
+  backend: STORAGE_BACKEND,
+  spreadsheetId: SPREADSHEET_ID,
+  auth: serviceAccountAuth,
+  filePath: process.env.LOCAL_STORAGE_PATH || path.join(__dirname, 'data', 'local-db.json'),
+}), {
+  Messages: {
+    ttl: CONTENT_CACHE_TTL_MS,
+    indexes: { id: row => row.get('MessageID') },
+  },
+  Questions: {
+    ttl: CONTENT_CACHE_TTL_MS,
+    indexes: {
+      id: row => row.get('QuestionID'),
+      themeDay: row => `${row.get('Theme')}|${row.get('Day')}`,
+      theme: row => row.get('Theme'),
+    },
+  },
+  Programs: {
+    ttl: CONTENT_CACHE_TTL_MS,
+    indexes: {},
+  },
+  Themes: {
+    ttl: CONTENT_CACHE_TTL_MS,
+    indexes: {},
+  },
+  RichMenus: {
+    ttl: CONTENT_CACHE_TTL_MS,
+    indexes: {},
+  },
+  Answers: {
+    ttl: ANSWERS_CACHE_TTL_MS,
+    indexes: {
+      id: row => row.get('AnswerID'),
+      user: row => row.get('userId'),
+      userWeek: row => `${row.get('userId')}|${row.get('week')}`,
+    },
+  },
+  RunLedger: {
+    ttl: ANSWERS_CACHE_TTL_MS,
+    indexes: { key: row => ledgerKey(row.get('Job'), row.get('TargetDate'), row.get('UserID')) },
+  },
+  WeeklyInsights: {
+    ttl: ANSWERS_CACHE_TTL_MS,
+    indexes: { userWeek: row => `${row.get('UserID')}|${row.get('Week')}` },
+  },
+});
+const runLedger = createRunLedger(storage);
+const statusHistory = createStatusHistory(storage);
+
+// 照片、語音回答的檔案：s3（S3 相容的物件儲存）、local（存到 BLOB_STORE_DIR，需要持久磁碟）或 memory（測試用）
+// 沒有設定時不存檔案，收到照片、語音會告訴使用者檔案沒有保存下來
+const blobStore = process.env.BLOB_STORE_BACKEND
+  ? createBlobStore({
+    backend: process.env.BLOB_STORE_BACKEND,
+    dir: process.env.BLOB_STORE_DIR,
+    bucket: process.env.BLOB_STORE_S3_BUCKET,
+    region: process.env.BLOB_STORE_S3_REGION,
+    endpoint: process.env.BLOB_STORE_S3_ENDPOINT,
+    accessKeyId: process.env.BLOB_STORE_S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.BLOB_STORE_S3_SECRET_ACCESS_KEY,
+  })
+  : null;
+if (!blobStore) {
+  console.error('[BlobStore] BLOB_STORE_BACKEND is not configured, photo and voice answers will be saved without their files');
 }
 
+// 日記匯出的下載連結：PUBLIC_BASE_URL 是這個服務對外的網址（Vercel 上沒設定時用 VERCEL_URL）
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : null);
+const EXPORT_LINK_TTL_MS = (Number(process.env.EXPORT_LINK_TTL_MINUTES) || 30) * 60 * 1000;
+// 匯出檔裡的照片、語音連結；使用者會留著匯出檔，所以效期比匯出連結長
+const MEDIA_LINK_TTL_MS = (Number(process.env.MEDIA_LINK_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const exportSigner = createExportSigner(process.env.EXPORT_SIGNING_SECRET || process.env.CRON_SECRET || lineConfig.channelSecret);
+
 const client = new line.Client(lineConfig);
+
+// 所有推播（push / multicast）都經過這個佇列：限速、重試 429/5xx，失敗的存成死信
+const delivery = createDeliveryQueue({
+  client,
+  storage,
+  ratePerSecond: Number(process.env.LINE_PUSH_RATE_PER_SECOND) || 50,
+  maxRetries: Number(process.env.LINE_PUSH_MAX_RETRIES) || 3,
+});
+
+// 依使用者狀態切換的 Rich Menu，圖片放在 RICH_MENU_IMAGE_DIR（見 src/richMenus.js）
+const richMenus = createRichMenuManager({
+  client,
+  storage,
+  imageDir: process.env.RICH_MENU_IMAGE_DIR || path.join(__dirname, 'assets', 'rich-menus'),
+  getText,
+});
+
 const app = express();
 
 // Express 中間件
@@ -154,16 +262,7 @@ app.get('/health', async (req, res) => {
 
   // 快速響應基本狀態（不執行耗時的 API 調用）
   // 如果已經載入過 spreadsheet，顯示標題；否則只顯示基本狀態
-  let spreadsheetTitle = 'not loaded yet';
-  try {
-    // 安全地檢查 title，如果沒有載入過會拋出錯誤
-    if (doc.title) {
-      spreadsheetTitle = doc.title;
-    }
-  } catch (e) {
-    // 如果還沒有載入，使用默認值
-    spreadsheetTitle = 'not loaded yet';
-  }
+  const spreadsheetTitle = storage.getTitle() || 'not loaded yet';
 
   const basicHealth = {
     status: 'healthy',
@@ -174,19 +273,22 @@ app.get('/health', async (req, res) => {
     tzOffset: now.getTimezoneOffset(),
     uptime: process.uptime(),
     responseTime: `${Date.now() - startTime}ms`,
-    spreadsheet: spreadsheetTitle
+    storage: storage.backend,
+    llmProvider: llm.provider,
+    spreadsheet: spreadsheetTitle,
+    cache: storage.getCacheStats()
   };
 
   // 如果請求包含 ?full=true，才執行完整的健康檢查（包括 API 調用）
   if (req.query.full === 'true') {
     try {
       const apiStartTime = Date.now();
-      await safeLoadInfo(1, 3000); // 健康檢查只嘗試一次，3秒超時
+      await storage.load({ maxRetries: 1, timeout: 3000 }); // 健康檢查只嘗試一次，3秒超時
       const apiLoadTime = Date.now() - apiStartTime;
 
       res.status(200).json({
         ...basicHealth,
-        spreadsheet: doc.title || 'connected',
+        spreadsheet: storage.getTitle() || 'connected',
         apiLoadTime: `${apiLoadTime}ms`,
         fullCheck: true
       });
@@ -208,8 +310,10 @@ app.get('/health', async (req, res) => {
 // --- 2.1 CRON Endpoints（給外部 CRON 服務呼叫）---
 
 // 安全驗證中介軟體
+// 密鑰可以放在 ?secret=、X-Cron-Secret，或 Vercel Cron 送出的 Authorization: Bearer <CRON_SECRET>
 function verifyCronSecret(req, res, next) {
-  const secret = req.query.secret || req.headers['x-cron-secret'];
+  const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const secret = req.query.secret || req.headers['x-cron-secret'] || bearer;
   const expectedSecret = process.env.CRON_SECRET;
 
   if (!expectedSecret) {
@@ -225,12 +329,21 @@ function verifyCronSecret(req, res, next) {
   next();
 }
 
+// 每次排程執行都從最新的回答與執行紀錄開始，之後同一次執行內的查詢都走快取
+// ?force=true 時忽略執行紀錄，重新發送給已經送達的使用者（維運人員手動補發用）
+function startCronRun(req, res, next) {
+  storage.invalidate('Answers');
+  storage.invalidate('RunLedger');
+  req.cronOptions = { force: req.query.force === 'true' };
+  next();
+}
+
 // 週一 9:00 - 發送主題選擇
-app.get('/cron/monday-theme', verifyCronSecret, async (req, res) => {
+app.get('/cron/monday-theme', verifyCronSecret, startCronRun, async (req, res) => {
   console.log('CRON endpoint triggered: /cron/monday-theme');
   try {
-    await safeLoadInfo();
-    const summary = await sendMondayThemeSelection();
+    await storage.load();
+    const summary = await sendMondayThemeSelection(req.cronOptions);
     // 從 summary 中解構，將詳細的 results 陣列排除，只保留統計數字
     const { results, ...responseSummary } = summary;
     res.status(200).json({
@@ -244,27 +357,20 @@ app.get('/cron/monday-theme', verifyCronSecret, async (req, res) => {
   }
 });
 
-// 週二至週五 9:00 - 發送每日問題
-app.get('/cron/daily-question', verifyCronSecret, async (req, res) => {
+// 每小時整點 - 發送每日問題給「現在落在選擇時段內」的使用者（週二至週五，以使用者時區為準）
+// 加上 ?all=true 則忽略時段，立即發送給所有人
+app.get('/cron/daily-question', verifyCronSecret, startCronRun, async (req, res) => {
   const startTime = Date.now();
   console.log('CRON endpoint triggered: /cron/daily-question');
 
   try {
     // 確保 Spreadsheet 已載入
-    let needsLoad = false;
-    try {
-      needsLoad = !doc.title;
-    } catch (e) {
-      // 如果訪問 title 拋出錯誤，說明還沒有載入
-      needsLoad = true;
-    }
-
-    if (needsLoad) {
+    if (!storage.isLoaded()) {
       console.log('Loading spreadsheet for the first time...');
-      await safeLoadInfo();
+      await storage.load();
     }
 
-    const result = await sendDailyQuestion();
+    const result = await sendDailyQuestion({ ...req.cronOptions, ignoreSlots: req.query.all === 'true' });
     const executionTime = Date.now() - startTime;
 
     console.log('Daily question execution completed:', result);
@@ -291,50 +397,67 @@ app.get('/cron/daily-question', verifyCronSecret, async (req, res) => {
 });
 
 // 週六 20:00 - 發送週末回顧
-app.get('/cron/saturday-review', verifyCronSecret, async (req, res) => {
+app.get('/cron/saturday-review', verifyCronSecret, startCronRun, async (req, res) => {
   console.log('CRON endpoint triggered: /cron/saturday-review');
   try {
-    await safeLoadInfo();
-    await sendSaturdayReview();
-    res.status(200).json({ success: true, message: 'Saturday review sent' });
+    await storage.load();
+    const summary = await sendSaturdayReview(req.cronOptions);
+    res.status(200).json({ success: true, message: 'Saturday review sent', summary });
   } catch (err) {
     console.error('Error in /cron/saturday-review:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// 每月最後一天 22:00 - 發送月度總結
-app.get('/cron/monthly-review', verifyCronSecret, async (req, res) => {
+// 每天 22:00 - 對「今天是 12 月 31 日」的使用者發送年度回顧（以使用者時區判斷，外部 CRON 需要每天呼叫）
+// ?date=YYYY-MM-DD 時不檢查是否為年底，直接產生該日期所在年份的回顧（補發、測試用）
+app.get('/cron/yearly-review', verifyCronSecret, startCronRun, async (req, res) => {
   const startTime = Date.now();
-  console.log('CRON endpoint triggered: /cron/monthly-review');
+  console.log('CRON endpoint triggered: /cron/yearly-review');
 
   try {
-    const today = new Date();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(today.getDate() + 1);
+    let targetDate = new Date();
+    const dateParam = req.query.date;
+    if (dateParam) {
+      targetDate = /^\d{4}-\d{2}-\d{2}$/.test(dateParam) ? new Date(`${dateParam}T12:00:00Z`) : new Date(dateParam);
+      if (isNaN(targetDate.getTime())) {
+        throw new Error('Invalid date format. Use YYYY-MM-DD');
+      }
+    }
 
-    // 檢查明天是否為該月第一天
-    if (tomorrow.getDate() === 1) {
-      console.log('Last day of month detected, starting monthly review process...');
+    await storage.load();
+    const result = await sendYearlyReview(targetDate, { ...req.cronOptions, onlyLastDayOfYear: !dateParam });
 
-      // 在 Serverless 環境 (如 Vercel) 必須等待執行完成，不能在背景執行
-      await safeLoadInfo();
-      const result = await sendMonthlyReview(today);
+    res.status(200).json({
+      success: true,
+      message: 'Yearly review process completed',
+      executionTime: `${Date.now() - startTime}ms`,
+      targetDate: targetDate.toISOString(),
+      details: result
+    });
+  } catch (err) {
+    console.error('Error in /cron/yearly-review:', err);
+    res.status(500).json({ success: false, error: err.message, executionTime: `${Date.now() - startTime}ms` });
+  }
+});
 
-      res.status(200).json({
-        success: true,
-        message: 'Monthly review process completed',
-        executionTime: `${Date.now() - startTime}ms`,
-        details: result
-      });
-    } else {
-      res.status(200).json({
-        success: true,
-        message: 'Not last day of month, skipped',
-        today: today.getDate(),
-        tomorrow: tomorrow.getDate()
-      });
-    }
+// 每天 22:00 - 對「今天是該月最後一天」的使用者發送月度總結
+// 月底的判斷以每位使用者自己的時區為準，所以外部 CRON 需要每天呼叫
+app.get('/cron/monthly-review', verifyCronSecret, startCronRun, async (req, res) => {
+  const startTime = Date.now();
+  console.log('CRON endpoint triggered: /cron/monthly-review');
+
+  try {
+    // 在 Serverless 環境 (如 Vercel) 必須等待執行完成，不能在背景執行
+    await storage.load();
+    const result = await sendMonthlyReview(new Date(), { ...req.cronOptions, onlyLastDayOfMonth: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Monthly review process completed',
+      executionTime: `${Date.now() - startTime}ms`,
+      details: result
+    });
   } catch (err) {
     const executionTime = Date.now() - startTime;
     console.error('Error in /cron/monthly-review:', err);
@@ -349,23 +472,24 @@ app.get('/cron/monthly-review', verifyCronSecret, async (req, res) => {
 
 // 測試用 - 強制執行月度總結（忽略日期檢查）
 // 測試用 - 強制執行月度總結（忽略日期檢查）
-app.get('/cron/monthly-review-test', verifyCronSecret, async (req, res) => {
+app.get('/cron/monthly-review-test', verifyCronSecret, startCronRun, async (req, res) => {
   console.log('TEST endpoint triggered: /cron/monthly-review-test');
   try {
     const dateParam = req.query.date; // 格式: YYYY-MM-DD
     let targetDate = new Date();
 
     if (dateParam) {
-      targetDate = new Date(dateParam);
+      // 只有日期時取當天中午 (UTC)，避免換算成使用者時區後跑到前一天
+      targetDate = /^\d{4}-\d{2}-\d{2}$/.test(dateParam) ? new Date(`${dateParam}T12:00:00Z`) : new Date(dateParam);
       if (isNaN(targetDate.getTime())) {
         throw new Error('Invalid date format. Use YYYY-MM-DD');
       }
       console.log(`Using target date from query: ${targetDate.toISOString()}`);
     }
 
-    await safeLoadInfo();
+    await storage.load();
     // 等待執行結果，以便除錯
-    const result = await sendMonthlyReview(targetDate);
+    const result = await sendMonthlyReview(targetDate, req.cronOptions);
     res.status(200).json({
       success: true,
       message: 'Monthly review test process completed',
@@ -378,6 +502,152 @@ app.get('/cron/monthly-review-test', verifyCronSecret, async (req, res) => {
   }
 });
 
+// --- 2.2 維運端點 ---
+
+// 列出尚未處理的死信（推播重試後仍失敗的訊息）
+app.get('/admin/dead-letters', verifyCronSecret, async (req, res) => {
+  try {
+    await storage.load();
+    const rows = await delivery.listDeadLetters({ status: req.query.status || 'pending' });
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      deadLetters: rows.map(row => row.toObject())
+    });
+  } catch (err) {
+    console.error('Error in /admin/dead-letters:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 重新發送死信，?limit= 控制一次處理的數量（預設 50，避免超過 Serverless 執行時間）
+app.get('/admin/dead-letters/replay', verifyCronSecret, async (req, res) => {
+  console.log('ADMIN endpoint triggered: /admin/dead-letters/replay');
+  try {
+    await storage.load();
+    const summary = await delivery.replayDeadLetters({ limit: Number(req.query.limit) || 50 });
+    res.status(200).json({ success: true, summary });
+  } catch (err) {
+    console.error('Error in /admin/dead-letters/replay:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 查詢使用者目前狀態與狀態轉換歷史（包含被拒絕的轉換），用來排查使用者卡在某個狀態的原因
+app.get('/admin/users/:userId/status-history', verifyCronSecret, async (req, res) => {
+  try {
+    await storage.load();
+    const userSheet = await storage.getTable('Users');
+    const rows = await userSheet.getRows();
+    const userRow = rows.find(row => row.get('userId') === req.params.userId);
+    const history = await statusHistory.listForUser(req.params.userId, { limit: Number(req.query.limit) || 50 });
+    res.status(200).json({
+      success: true,
+      userId: req.params.userId,
+      currentStatus: userRow ? normalizeStatus(userRow.get('status')) : null,
+      history
+    });
+  } catch (err) {
+    console.error('Error in /admin/users/:userId/status-history:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 重新部署 Rich Menu（換圖片或調整按鈕後執行），並依目前狀態把所有使用者連到新選單
+app.get('/admin/rich-menus/deploy', verifyCronSecret, async (req, res) => {
+  console.log('ADMIN endpoint triggered: /admin/rich-menus/deploy');
+  try {
+    await storage.load();
+    const userSheet = await storage.getTable('Users');
+    const userRows = userSheet ? await userSheet.getRows() : [];
+    const assignments = (await Promise.all(userRows.map(async row => ({
+      userId: row.get('userId'),
+      key: getMenuKey(row.get('status'), { paused: isUserPaused(row) }),
+      locale: await getUserLocale(row),
+    })))).filter(item => item.userId && item.key);
+
+    const { links, ...summary } = await richMenus.deploy({ assignments });
+
+    const rowsById = new Map(userRows.map(row => [row.get('userId'), row]));
+    for (const { userId, key, locale } of links) {
+      const row = rowsById.get(userId);
+      if (row.get('richMenu') !== key || row.get('richMenuLocale') !== locale) {
+        row.set('richMenu', key);
+        row.set('richMenuLocale', locale);
+        await row.save();
+      }
+    }
+
+    // 一個選單都沒有部署成功（通常是 RICH_MENU_IMAGE_DIR 沒有圖片）時回傳錯誤，部署腳本才看得出來
+    if (!summary.menus.some(menu => menu.deployed)) {
+      console.error('[/admin/rich-menus/deploy] No rich menu deployed:', summary.menus);
+      return res.status(422).json({ success: false, error: 'No rich menu was deployed, check RICH_MENU_IMAGE_DIR', summary });
+    }
+    res.status(200).json({ success: true, summary });
+  } catch (err) {
+    console.error('Error in /admin/rich-menus/deploy:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// --- 2.3 日記匯出下載 ---
+
+// 使用者從 LINE 收到的簽章連結；不需要 CRON_SECRET，但過期或簽章不符一律拒絕
+app.get('/export/:userId', async (req, res) => {
+  const { userId } = req.params;
+  const format = EXPORT_FORMATS[req.query.format] ? req.query.format : 'md';
+  const { valid, reason } = exportSigner.verify(userId, req.query.expires, req.query.sig);
+
+  if (!valid) {
+    console.warn(`[Export] Rejected download for user ${userId}: ${reason}`);
+    return res.status(403).json({ success: false, error: reason });
+  }
+
+  try {
+    await storage.load();
+    const journal = await buildUserJournal(userId);
+    const locale = await getUserLocale(userId);
+    const labels = await getMarkdownLabels(locale);
+    const fileName = `journal-${getDateString(new Date(), DEFAULT_TIMEZONE)}.${EXPORT_FORMATS[format].extension}`;
+    res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.set('Cache-Control', 'private, no-store');
+    res.status(200).send(renderJournal(journal, format, labels, await getThemeMap(locale)));
+    console.log(`[Export] User ${userId} downloaded ${journal.answers.length} answers as ${format}`);
+  } catch (err) {
+    console.error('Error in /export/:userId:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// 匯出檔裡的照片、語音連結；ref 必須是這個使用者的簽章連結
+app.get('/media/:userId', async (req, res) => {
+  const { userId } = req.params;
+  const ref = String(req.query.ref || '');
+  const { valid, reason } = exportSigner.verify(`${userId}|${ref}`, req.query.expires, req.query.sig);
+
+  if (!valid) {
+    console.warn(`[Media] Rejected download of ${ref} for user ${userId}: ${reason}`);
+    return res.status(403).json({ success: false, error: reason });
+  }
+  if (!blobStore || !blobStore.owns(ref)) {
+    return res.status(404).json({ success: false, error: 'Media not found' });
+  }
+
+  try {
+    const blob = await blobStore.get(ref);
+    if (!blob) {
+      return res.status(404).json({ success: false, error: 'Media not found' });
+    }
+    res.set('Content-Type', blob.contentType);
+    res.set('Cache-Control', 'private, no-store');
+    res.status(200).send(blob.buffer);
+  } catch (err) {
+    console.error('Error in /media/:userId:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // 標準的 Webhook 處理器
 app.post('/webhook', line.middleware(lineConfig), (req, res) => {
   const timestamp = new Date().toISOString();
@@ -416,21 +686,25 @@ async function handleEvent(event) {
 
   console.log(`[handleEvent] Processing event: type=${eventType}, userId=${userId}`);
 
-  // 我們只處理文字訊息和 postback 事件
+  // 我們只處理文字、照片、語音、貼圖訊息、postback，以及加入 / 封鎖好友事件
   // 排除掉 LINE Verify Webhook 時發送的空事件
-  if (eventType !== 'message' && eventType !== 'postback') {
+  if (!['message', 'postback', 'follow', 'unfollow'].includes(eventType)) {
     console.log(`[handleEvent] Skipping event type: ${eventType}`);
     return Promise.resolve(null);
   }
 
   try {
-    await safeLoadInfo();
-    if (eventType === 'message' && event.message?.type === 'text') {
-      console.log(`[handleEvent] Handling text message from user ${userId}`);
-      await handleTextMessage(event);
+    await storage.load();
+    if (eventType === 'message' && ANSWER_MESSAGE_TYPES.includes(event.message?.type)) {
+      console.log(`[handleEvent] Handling ${event.message.type} message from user ${userId}`);
+      await handleUserMessage(event);
     } else if (eventType === 'postback') {
       console.log(`[handleEvent] Handling postback from user ${userId}`);
       await handlePostback(event);
+    } else if (eventType === 'follow') {
+      await handleFollow(event);
+    } else if (eventType === 'unfollow') {
+      await handleUnfollow(event);
     } else {
       console.warn(`[handleEvent] Unhandled event: type=${eventType}, messageType=${event.message?.type}`);
     }
@@ -440,21 +714,17 @@ async function handleEvent(event) {
     console.error('Error stack:', err.stack);
 
     // 即使 loadInfo 失敗，也嘗試處理事件（可能已經載入過）
-    let isLoaded = false;
-    try {
-      isLoaded = !!doc.title;
-    } catch (e) {
-      // 如果訪問 title 拋出錯誤，說明還沒有載入
-      isLoaded = false;
-    }
-
-    if (isLoaded) {
+    if (storage.isLoaded()) {
       console.log(`[handleEvent] Retrying event processing (spreadsheet already loaded)`);
       try {
-        if (eventType === 'message' && event.message?.type === 'text') {
-          await handleTextMessage(event);
+        if (eventType === 'message' && ANSWER_MESSAGE_TYPES.includes(event.message?.type)) {
+          await handleUserMessage(event);
         } else if (eventType === 'postback') {
           await handlePostback(event);
+        } else if (eventType === 'follow') {
+          await handleFollow(event);
+        } else if (eventType === 'unfollow') {
+          await handleUnfollow(event);
         }
         console.log(`[handleEvent] Retry successful for event type=${eventType}, userId=${userId}`);
       } catch (retryErr) {
@@ -475,7 +745,7 @@ async function handleEvent(event) {
 // cron.schedule('0 9 * * 1', async () => {
 //   console.log('Running: sendMondayThemeSelection @ 9:00 AM Taipei Time');
 //   try {
-//     await doc.loadInfo();
+//     await storage.load();
 //     await sendMondayThemeSelection();
 //   } catch (err) {
 //     console.error('Error in sendMondayThemeSelection cron job:', err);
@@ -485,7 +755,7 @@ async function handleEvent(event) {
 // cron.schedule('0 9 * * 2-5', async () => {
 //   console.log('Running: sendDailyQuestion @ 9:00 AM Taipei Time');
 //   try {
-//     await doc.loadInfo();
+//     await storage.load();
 //     await sendDailyQuestion();
 //   } catch (err) {
 //     console.error('Error in sendDailyQuestion cron job:', err);
@@ -495,7 +765,7 @@ async function handleEvent(event) {
 // cron.schedule('0 20 * * 6', async () => {
 //   console.log('Running: sendSaturdayReview @ 8:00 PM Taipei Time');
 //   try {
-//     await doc.loadInfo();
+//     await storage.load();
 //     await sendSaturdayReview();
 //   } catch (err) {
 //     console.error('Error in sendSaturdayReview cron job:', err);
@@ -509,7 +779,7 @@ async function handleEvent(event) {
 //   if (tomorrow.getDate() === 1) {
 //     console.log('Running: sendMonthlyReview @ 10:00 PM on Last Day of Month');
 //     try {
-//       await doc.loadInfo();
+//       await storage.load();
 //       await sendMonthlyReview();
 //     } catch (err) {
 //       console.error('Error in sendMonthlyReview cron job:', err);
@@ -520,111 +790,262 @@ async function handleEvent(event) {
 
 // --- 4. 核心程式碼邏輯 ---
 
-const THEME_MAP = { 'SELF': '自己', 'CREATION': '創作', 'FAMILY': '家庭' };
 
-async function replyWithText(replyToken, messageId, fallbackId = 'GENERIC_ERROR') {
+// 每日問題的發送時段（使用者時區的整點），使用者可透過 choose_slot 選單更改；labelId 是選單按鈕文字的訊息代碼
+const DELIVERY_SLOTS = {
+  morning: { hour: 9, labelId: 'SLOT_MORNING' },
+  lunch: { hour: 12, labelId: 'SLOT_LUNCH' },
+  evening: { hour: 20, labelId: 'SLOT_EVENING' },
+};
+const DEFAULT_DELIVERY_SLOT = 'morning';
+// 時段開始後幾個小時內會發送：多一個小時讓外部 CRON 漏掉一次整點時仍會補發，又不會拖到深夜才送出
+const DELIVERY_WINDOW_HOURS = 2;
+// 問題、每週紀錄、每月回顧用 Flex Message 卡片送出；FLEX_MESSAGES=off 時一律送純文字
+const FLEX_MESSAGES_ENABLED = process.env.FLEX_MESSAGES !== 'off';
+// 每日問題只在週二至週五自動發送（週一選主題、週六回顧）
+const DAILY_QUESTION_DAYS = ['TUE', 'WED', 'THU', 'FRI'];
+// 依 Questions 的 Tags 欄位調整抽題權重，例如 light:2,deep:0.5
+const QUESTION_TAG_WEIGHTS = parseTagWeights(process.env.QUESTION_TAG_WEIGHTS);
+// 可以當作回答的訊息類型；照片與語音會下載到 blobStore
+const ANSWER_MESSAGE_TYPES = ['text', 'image', 'audio', 'sticker'];
+// 各類型的標籤文字（依使用者語系，見 getMediaLabels）
+const MEDIA_LABEL_IDS = { image: 'MEDIA_LABEL_IMAGE', audio: 'MEDIA_LABEL_AUDIO', sticker: 'MEDIA_LABEL_STICKER' };
+
+// 文字指令：在任何狀態下都先比對指令，不會被當成回答
+// 關鍵字可以在 Messages 資料表用 COMMAND_ALIAS_<指令名稱> 覆蓋（逗號分隔），例如 COMMAND_ALIAS_HISTORY：紀錄, 回顧
+const commandRouter = createCommandRouter({
+  commands: {
+    history: {
+      aliases: ['紀錄', '本週紀錄'],
+      handler: ({ replyToken, userId }) => replyWeeklyRecords(replyToken, userId),
+    },
+    theme: {
+      aliases: ['主題', '換主題'],
+      handler: ({ replyToken, userId, args }) => handleThemeCommand(replyToken, userId, args),
+    },
+    pause: {
+      aliases: ['暫停'],
+      handler: ({ replyToken, userId }) => sendPauseMenu(replyToken, userId),
+    },
+    resume: {
+      aliases: ['恢復', '繼續'],
+      handler: ({ replyToken, userId }) => handleResume(replyToken, userId),
+    },
+    help: {
+      aliases: ['說明', '怎麼玩'],
+      handler: async ({ replyToken, userId }) => replyWithText(replyToken, await getUserLocale(userId), 'HOW_TO_PLAY', 'HOW_TO_PLAY_FALLBACK'),
+    },
+    slot: {
+      aliases: ['時段', '換時段'],
+      handler: ({ replyToken, userId }) => sendDeliverySlotMenu(replyToken, userId),
+    },
+    settings: {
+      aliases: ['設定'],
+      handler: ({ replyToken, userId }) => sendSettingsMenu(replyToken, userId),
+    },
+    insight: {
+      aliases: ['AI總結', 'AI 總結', '本週總結'],
+      handler: ({ replyToken, userId }) => handleInsightRequest(replyToken, userId),
+    },
+    stats: {
+      aliases: ['統計', '我的統計'],
+      handler: ({ replyToken, userId }) => handleStatsRequest(replyToken, userId),
+    },
+    reflect: {
+      aliases: ['長期回顧'],
+      handler: ({ replyToken, userId, args }) => handleReflectionRequest(replyToken, userId, args),
+    },
+    ai_off: {
+      aliases: ['關閉AI', '關閉 AI'],
+      handler: ({ replyToken, userId }) => setAiOptOut(replyToken, userId, true),
+    },
+    ai_on: {
+      aliases: ['開啟AI', '開啟 AI'],
+      handler: ({ replyToken, userId }) => setAiOptOut(replyToken, userId, false),
+    },
+    edit: {
+      aliases: ['修改回答'],
+      handler: ({ replyToken, userId }) => handleEditAnswerRequest(replyToken, userId),
+    },
+    export: {
+      aliases: ['匯出', '匯出日記'],
+      handler: ({ replyToken, userId }) => sendExportLinks(replyToken, userId),
+    },
+    program: {
+      aliases: ['課程'],
+      handler: ({ replyToken, userId, args }) => handleProgramCommand(replyToken, userId, args),
+    },
+    language: {
+      aliases: ['語言', 'language'],
+      handler: ({ replyToken, userId, args }) => handleLanguageCommand(replyToken, userId, args),
+    },
+  },
+  loadAliases: loadCommandAliases,
+});
+// 每位使用者每週最多可以請 AI 產生幾次總結（回答沒有變動時重複詢問會直接回傳已存的總結，不計次數）
+const WEEKLY_INSIGHT_QUOTA = Number(process.env.WEEKLY_INSIGHT_QUOTA) || 3;
+// 使用者一次最多可以暫停的天數
+const MAX_PAUSE_DAYS = 30;
+// 正在產生 AI 總結的使用者，連按兩次按鈕時不會重複呼叫 OpenAI
+const insightRequestsInFlight = new Set();
+// 回答後多久內可以補充或修改（同一天內才有效）
+const ANSWER_EDIT_WINDOW_MS = (Number(process.env.ANSWER_EDIT_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+async function replyWithText(replyToken, locale, messageId, fallbackId = 'GENERIC_ERROR') {
   try {
-    let msg = await getMessage(messageId);
-    if (!msg) {
-      msg = await getMessage(fallbackId);
-    }
-    await client.replyMessage(replyToken, { type: 'text', text: msg ? msg.message : '系統發生錯誤' });
+    const msg = await getMessage(messageId, locale)
+      || await getMessage(fallbackId, locale)
+      || await getMessage('GENERIC_ERROR', locale);
+    const message = createMessageObject(msg.message, null, msg.quickReplies);
+    validateMessage(message);
+    await client.replyMessage(replyToken, message);
   } catch (error) {
     console.error(`Error in replyWithText (messageId: ${messageId}):`, error);
-    // 嘗試發送一個簡單的錯誤訊息
+    // 嘗試發送一個簡單的錯誤訊息（直接用內建文案，不再讀取資料表）
     try {
-      await client.replyMessage(replyToken, { type: 'text', text: '系統暫時無法處理您的請求，請稍後再試。' });
+      await client.replyMessage(replyToken, { type: 'text', text: getCatalogEntry('SYSTEM_BUSY', locale).message });
     } catch (replyError) {
       console.error('Failed to send error message:', replyError);
     }
   }
 }
 
-function createMessageObject(text, buttons) {
+// buttons 與 quickReplies 的格式見 src/messageActions.js
+// buttons 超過 4 個時，多出來的改放到 quick reply，不會被丟掉
+function createMessageObject(text, buttons, quickReplies) {
   let message = { type: 'text', text: text };
-  if (buttons && buttons.length > 0) {
-    // LINE buttons template 限制：最多 4 个按钮
-    const validButtons = buttons.slice(0, 4);
+  const quickReplyItems = [];
 
-    // 验证并清理按钮数据
-    const cleanedButtons = validButtons.map((btn, index) => {
-      if (!btn || typeof btn !== 'object') {
+  if (buttons && buttons.length > 0) {
+    // 验证并清理按钮数据（camera 等只能用在 quick reply 的类型会被移除）
+    const cleanedButtons = buttons.map((btn, index) => {
+      const action = buildAction(btn);
+      if (!action) {
         console.warn(`Invalid button at index ${index}:`, btn);
-        return null;
-      }
-
-      const label = btn.label ? String(btn.label).substring(0, 20) : '按鈕';
-      const data = btn.data ? String(btn.data).substring(0, 300) : '';
-
-      // 验证 data 不为空（LINE 要求 postback data 必须有值）
-      if (!data) {
-        console.warn(`Button at index ${index} has empty data, using default:`, btn);
-        return { type: 'postback', label, data: `action=button_${index}` };
       }
-
-      return { type: 'postback', label, data };
+      return action;
     }).filter(btn => btn !== null); // 移除无效按钮
 
-    if (cleanedButtons.length === 0) {
-      console.warn('No valid buttons after cleaning, falling back to text message');
-      return { type: 'text', text: text };
+    // LINE buttons template 限制：最多 4 个按钮
+    if (cleanedButtons.length > 4) {
+      console.warn(`Buttons count (${cleanedButtons.length}) exceeds LINE limit (4). Moving the rest to quick replies.`);
+      cleanedButtons.slice(4).forEach(action => quickReplyItems.push({ type: 'action', action }));
     }
 
-    message = {
-      type: 'template',
-      altText: text.substring(0, 400),
-      template: {
-        type: 'buttons',
-        text: text.substring(0, 160),
-        actions: cleanedButtons
-      }
-    };
+    if (cleanedButtons.length === 0) {
+      console.warn('No valid buttons after cleaning, falling back to text message');
+    } else {
+      message = {
+        type: 'template',
+        altText: text.substring(0, 400),
+        template: {
+          type: 'buttons',
+          text: text.substring(0, 160),
+          actions: cleanedButtons.slice(0, 4)
+        }
+      };
 
-    // 如果按钮数量超过限制，记录警告
-    if (buttons.length > 4) {
-      console.warn(`Warning: Buttons count (${buttons.length}) exceeds LINE limit (4). Only first 4 buttons will be shown.`);
+      // 记录按钮信息用于调试
+      console.log(`Created buttons template with ${message.template.actions.length} buttons:`,
+        message.template.actions.map(btn => ({ type: btn.type, label: btn.label })));
     }
+  }
 
-    // 记录按钮信息用于调试
-    console.log(`Created buttons template with ${cleanedButtons.length} buttons:`,
-      cleanedButtons.map(btn => ({ label: btn.label, dataLength: btn.data.length })));
+  (quickReplies || []).forEach((spec, index) => {
+    const item = buildQuickReplyItem(spec);
+    if (item) {
+      quickReplyItems.push(item);
+    } else {
+      console.warn(`Invalid quick reply at index ${index}:`, spec);
+    }
+  });
+  if (quickReplyItems.length > 0) {
+    // LINE quick reply 限制：最多 13 个
+    if (quickReplyItems.length > 13) {
+      console.warn(`Quick reply count (${quickReplyItems.length}) exceeds LINE limit (13). Only first 13 will be shown.`);
+    }
+    message.quickReply = { items: quickReplyItems.slice(0, 13) };
   }
   return message;
 }
 
-// 安全发送消息的辅助函数，带详细错误日志
-async function safeSendMessage(sendFn, message, context = '') {
-  try {
-    // 验证消息格式
-    if (!message) {
-      throw new Error('Message is null or undefined');
+// 验证消息格式，不合法时直接抛出错误（不发送）
+// 可以是单一消息或消息数组（一次 reply / push 最多 5 则）
+function validateMessage(message) {
+  if (Array.isArray(message)) {
+    if (message.length === 0 || message.length > 5) {
+      throw new Error(`Message array must contain 1-5 messages, got ${message.length}`);
     }
+    message.forEach(validateMessage);
+    return;
+  }
+
+  if (!message) {
+    throw new Error('Message is null or undefined');
+  }
 
-    // 如果是 template 消息，验证格式
-    if (message.type === 'template' && message.template) {
-      if (message.template.type === 'buttons') {
-        if (!message.template.actions || message.template.actions.length === 0) {
-          throw new Error('Buttons template has no actions');
+  // 如果是 template 消息，验证格式
+  if (message.type === 'template' && message.template) {
+    if (message.template.type === 'buttons') {
+      if (!message.template.actions || message.template.actions.length === 0) {
+        throw new Error('Buttons template has no actions');
+      }
+      // 验证每个 action
+      message.template.actions.forEach((action, index) => validateAction(action, `at index ${index}`));
+    }
+
+    // carousel：最多 10 栏，每栏的按钮数量必须相同
+    if (message.template.type === 'carousel') {
+      const columns = message.template.columns || [];
+      if (columns.length === 0 || columns.length > 10) {
+        throw new Error(`Carousel must have 1-10 columns, got ${columns.length}`);
+      }
+      const actionCount = (columns[0].actions || []).length;
+      columns.forEach((column, columnIndex) => {
+        if (!column.actions || column.actions.length === 0 || column.actions.length !== actionCount) {
+          throw new Error(`Carousel column ${columnIndex} must have ${actionCount} actions`);
         }
-        // 验证每个 action
-        message.template.actions.forEach((action, index) => {
-          if (action.type === 'postback') {
-            if (!action.data || action.data.length === 0) {
-              throw new Error(`Postback action at index ${index} has empty data`);
-            }
-            if (action.data.length > 300) {
-              throw new Error(`Postback action at index ${index} data exceeds 300 characters: ${action.data.length}`);
-            }
-            if (!action.label || action.label.length === 0) {
-              throw new Error(`Postback action at index ${index} has empty label`);
-            }
-            if (action.label.length > 20) {
-              throw new Error(`Postback action at index ${index} label exceeds 20 characters: ${action.label.length}`);
-            }
-          }
-        });
+        if (column.title && column.title.length > 40) {
+          throw new Error(`Carousel column ${columnIndex} title exceeds 40 characters: ${column.title.length}`);
+        }
+        const maxText = column.title ? 60 : 120;
+        if (!column.text || column.text.length > maxText) {
+          throw new Error(`Carousel column ${columnIndex} text must be 1-${maxText} characters`);
+        }
+        column.actions.forEach((action, index) => validateAction(action, `at column ${columnIndex} index ${index}`));
+      });
+    }
+  }
+
+  // flex：必须有 altText，carousel 最多 12 张
+  if (message.type === 'flex') {
+    if (!message.altText || message.altText.length > 400) {
+      throw new Error('Flex message altText must be 1-400 characters');
+    }
+    const contents = message.contents || {};
+    if (contents.type === 'carousel') {
+      if (!contents.contents || contents.contents.length === 0 || contents.contents.length > 12) {
+        throw new Error(`Flex carousel must have 1-12 bubbles, got ${(contents.contents || []).length}`);
       }
+    } else if (contents.type !== 'bubble') {
+      throw new Error(`Flex contents must be a bubble or carousel, got ${contents.type}`);
+    }
+  }
+
+  // quick reply：最多 13 个
+  if (message.quickReply) {
+    const items = message.quickReply.items || [];
+    if (items.length === 0 || items.length > 13) {
+      throw new Error(`Quick reply must have 1-13 items, got ${items.length}`);
     }
+    items.forEach((item, index) => validateQuickReplyItem(item, `at quick reply ${index}`));
+  }
+}
+
+// 安全发送消息的辅助函数，带详细错误日志
+async function safeSendMessage(sendFn, message, context = '') {
+  try {
+    validateMessage(message);
 
     await sendFn(message);
     if (context) {
@@ -644,35 +1065,76 @@ async function safeSendMessage(sendFn, message, context = '') {
   }
 }
 
-async function handleTextMessage(event) {
+// Flex 等訊息被 LINE 拒絕（400）時 reply token 還沒被用掉，改用 fallback 再回覆一次
+async function replyWithFallback(replyToken, messages, fallback, context = '') {
+  try {
+    await safeSendMessage((msg) => client.replyMessage(replyToken, msg), messages, context);
+  } catch (error) {
+    if (error.statusCode !== 400) throw error;
+    console.warn(`[replyWithFallback] Sending fallback${context ? ` (${context})` : ''}`);
+    await client.replyMessage(replyToken, fallback);
+  }
+}
+
+// 文字、照片、語音、貼圖訊息共用同一套狀態流程；只有真的要存成回答時才下載媒體內容
+async function handleUserMessage(event) {
   const userId = event.source.userId;
   const replyToken = event.replyToken;
 
+  if (event.message.type === 'text' && await commandRouter.dispatch(event.message.text, { replyToken, userId, event })) {
+    return;
+  }
+
   // 改用 getOrCreateUserRow 取得 Row 物件，以便後續操作
   const userRow = await getOrCreateUserRow(userId);
-  const status = userRow.get('status');
-
-  if (!status || status === 'new' || status === 'idle' || status === 'waiting_monday') {
-    await sendWelcomeMessage(replyToken, userId);
-  } else if (status === 'waiting_theme') {
-    await replyWithText(replyToken, 'PROMPT_THEME_CHOICE');
-  } else if (status === 'waiting_answer') {
+  const status = normalizeStatus(userRow.get('status'));
+  const locale = await getUserLocale(userRow);
+
+  if (status === STATES.NEW || status === STATES.IDLE || status === STATES.WAITING_MONDAY) {
+    await sendWelcomeMessage(replyToken, userRow);
+  } else if (status === STATES.WAITING_THEME) {
+    await replyWithText(replyToken, locale, 'PROMPT_THEME_CHOICE');
+  } else if (status === STATES.WAITING_ANSWER) {
     // 傳遞 userRow 物件，避免重複讀取資料庫
     // saveUserAnswer 會寫入 Answer Sheet，並更新 userRow 記憶體中的狀態（不存檔）
-    await saveUserAnswer(userRow, event.message.text);
+    const content = await readAnswerContent(event);
+    const milestones = await saveUserAnswer(userRow, content.text, content);
 
-    await replyWithText(replyToken, 'HEARD');
+    await replyAnswerSaved(replyToken, userId);
+    await notifyMediaFailed(userId, locale, content);
+    await sendMilestoneMessages(userId, milestones);
 
     // updateUserStatus 會更新狀態並執行 save()，將所有變更一次寫入
-    await updateUserStatus(userRow, 'active');
-  } else if (status === 'saturday_showed_record') {
+    await updateUserStatus(userRow, EVENTS.ANSWER_SAVED);
+  } else if (status === STATES.EDITING_ANSWER) {
+    // 按過「修改回答」，這則訊息取代今天的回答
+    const answerRow = await getLastAnswerRow(userRow);
+    if (answerRow) {
+      const content = await readAnswerContent(event);
+      await reviseAnswer(answerRow, content, 'edit');
+      await replyWithText(replyToken, locale, 'ANSWER_EDITED', 'HEARD');
+      await notifyMediaFailed(userId, locale, content);
+    } else {
+      await replyWithText(replyToken, locale, 'ACK_ACTIVE');
+    }
+    await updateUserStatus(userRow, EVENTS.ANSWER_EDITED);
+  } else if (status === STATES.SATURDAY_SHOWED_RECORD) {
     // 使用者在週六看過紀錄後，又發送了文字訊息
-    await replyWithText(replyToken, 'SATURDAY_END');
-    await updateUserStatus(userRow, 'active');
-  } else if (status === 'active') {
-    await replyWithText(replyToken, 'ACK_ACTIVE');
+    await replyWithText(replyToken, locale, 'SATURDAY_END');
+    await updateUserStatus(userRow, EVENTS.REVIEW_FINISHED);
+  } else if (status === STATES.ACTIVE) {
+    // 剛回答完又傳來的訊息，視為對今天回答的補充
+    const answerRow = await getEditableAnswerRow(userRow);
+    if (answerRow) {
+      const content = await readAnswerContent(event);
+      await reviseAnswer(answerRow, content, 'append');
+      await replyWithText(replyToken, locale, 'ANSWER_APPENDED', 'HEARD');
+      await notifyMediaFailed(userId, locale, content);
+    } else {
+      await replyWithText(replyToken, locale, 'ACK_ACTIVE');
+    }
   } else {
-    await replyWithText(replyToken, 'FALLBACK_GENERAL');
+    await replyWithText(replyToken, locale, 'FALLBACK_GENERAL');
   }
 }
 
@@ -682,6 +1144,7 @@ async function handlePostback(event) {
   const replyToken = event.replyToken;
 
   console.log(`[handlePostback] Received postback from user ${userId}, data: ${data}`);
+  const locale = await getUserLocale(userId);
 
   // 安全解析 postback data
   const params = {};
@@ -694,13 +1157,15 @@ async function handlePostback(event) {
         }
       });
     }
+    // datetimepicker 選好的值放在 postback.params（date / time / datetime）
+    Object.assign(params, event.postback.params || {});
   } catch (parseError) {
     console.error(`[handlePostback] Error parsing postback data: ${data}`, parseError);
     // 即使解析失败，也尝试回复用户
     try {
       await client.replyMessage(replyToken, {
         type: 'text',
-        text: '抱歉，系統暫時無法處理您的請求，請稍後再試。'
+        text: getCatalogEntry('SYSTEM_BUSY', locale).message
       });
     } catch (replyError) {
       console.error(`[handlePostback] Failed to send error message:`, replyError);
@@ -716,7 +1181,7 @@ async function handlePostback(event) {
     try {
       await client.replyMessage(replyToken, {
         type: 'text',
-        text: '抱歉，無法識別您的操作，請重新嘗試。'
+        text: getCatalogEntry('UNKNOWN_ACTION', locale).message
       });
     } catch (replyError) {
       console.error(`[handlePostback] Failed to send error message:`, replyError);
@@ -732,26 +1197,19 @@ async function handlePostback(event) {
     switch (action) {
       case 'start_now':
       case 'start_week':
-        msg = await getMessage('START_READY');
-        text = msg ? msg.message : (await getMessage('START_READY_FALLBACK')).message;
-        message = createMessageObject(text, msg ? msg.buttons : null);
+        msg = await getMessage('START_READY', locale);
+        text = msg ? msg.message : (await getMessage('START_READY_FALLBACK', locale)).message;
+        message = createMessageObject(text, msg ? msg.buttons : null, msg ? msg.quickReplies : null);
         await safeSendMessage(
           (msg) => client.replyMessage(replyToken, msg),
           message,
           `handlePostback: start_now/start_week for user ${userId}`
         );
-        await updateUserStatus(userId, 'waiting_theme');
+        await updateUserStatus(userId, EVENTS.START_REQUESTED, { context: action });
         break;
 
       case 'ready':
-        msg = await getMessage('THEME_SELECT');
-        text = msg ? msg.message : (await getMessage('THEME_SELECT_FALLBACK')).message;
-        message = createMessageObject(text, msg ? msg.buttons : null);
-        await safeSendMessage(
-          (msg) => client.replyMessage(replyToken, msg),
-          message,
-          `handlePostback: ready for user ${userId}`
-        );
+        await sendThemeSelectMenu(replyToken, userId);
         break;
 
       case 'select_theme':
@@ -759,7 +1217,7 @@ async function handlePostback(event) {
           console.error(`[handlePostback] select_theme action missing theme parameter`);
           await client.replyMessage(replyToken, {
             type: 'text',
-            text: '抱歉，無法識別您選擇的主題，請重新選擇。'
+            text: await getText('UNKNOWN_THEME_CHOICE', locale)
           });
           return;
         }
@@ -775,7 +1233,7 @@ async function handlePostback(event) {
           try {
             await client.replyMessage(replyToken, {
               type: 'text',
-              text: '抱歉，發送問題時出現錯誤，請稍後再試。'
+              text: await getText('QUESTION_SEND_FAILED', locale)
             });
           } catch (replyError) {
             console.error(`[handlePostback] Failed to send error message:`, replyError);
@@ -786,19 +1244,83 @@ async function handlePostback(event) {
         break;
 
       case 'how_to_play':
-        await replyWithText(replyToken, 'HOW_TO_PLAY', 'HOW_TO_PLAY_FALLBACK');
+        await replyWithText(replyToken, locale, 'HOW_TO_PLAY', 'HOW_TO_PLAY_FALLBACK');
         break;
 
       case 'later':
-        await replyWithText(replyToken, 'LATER', 'LATER_FALLBACK');
-        await updateUserStatus(userId, 'waiting_monday');
+        await replyWithText(replyToken, locale, 'LATER', 'LATER_FALLBACK');
+        await updateUserStatus(userId, EVENTS.POSTPONED);
+        break;
+
+      case 'choose_slot':
+        await sendDeliverySlotMenu(replyToken, userId);
+        break;
+
+      case 'settings':
+        await sendSettingsMenu(replyToken, userId);
+        break;
+
+      case 'language':
+        await sendLanguageMenu(replyToken, userId);
+        break;
+
+      case 'set_locale':
+        await saveUserLocale(replyToken, userId, params.locale);
+        break;
+
+      case 'set_slot':
+        await handleDeliverySlotSelection(replyToken, userId, params.slot);
+        break;
+
+      case 'edit_answer':
+        await handleEditAnswerRequest(replyToken, userId);
+        break;
+
+      case 'pause':
+        await handlePause(replyToken, userId, params);
+        break;
+
+      case 'resume':
+        await handleResume(replyToken, userId);
+        break;
+
+      case 'export':
+        await sendExportLinks(replyToken, userId);
+        break;
+
+      case 'programs':
+        await sendProgramMenu(replyToken, userId);
+        break;
+
+      case 'enroll_program':
+        await enrollProgram(replyToken, userId, params.program);
+        break;
+
+      case 'leave_program':
+        await leaveProgram(replyToken, userId);
+        break;
+
+      // Rich Menu 的「本週紀錄」：只顯示紀錄，不像週六的 show_record 會改變狀態
+      case 'history':
+        await replyWeeklyRecords(replyToken, userId);
         break;
 
       case 'show_record':
-        const recordsText = await getWeeklyRecords(userId);
-        await client.replyMessage(replyToken, { type: 'text', text: recordsText });
+        await replyWeeklyRecords(replyToken, userId);
         // 設定狀態為「週六回顧後」，等待使用者輸入
-        await updateUserStatus(userId, 'saturday_showed_record');
+        await updateUserStatus(userId, EVENTS.RECORD_SHOWN);
+        break;
+
+      case 'ai_opt_out':
+        await setAiOptOut(replyToken, userId, true);
+        break;
+
+      case 'ai_opt_in':
+        await setAiOptOut(replyToken, userId, false);
+        break;
+
+      case 'get_insight':
+        await handleInsightRequest(replyToken, userId);
         break;
 
       default:
@@ -806,19 +1328,12 @@ async function handlePostback(event) {
         try {
           await client.replyMessage(replyToken, {
             type: 'text',
-            text: '抱歉，無法識別您的操作，請重新嘗試。'
+            text: getCatalogEntry('UNKNOWN_ACTION', locale).message
           });
         } catch (replyError) {
           console.error(`[handlePostback] Failed to send error message:`, replyError);
         }
         break;
-
-      // AI 總結功能已移除
-      // case 'get_insight':
-      //   await client.replyMessage(replyToken, { type: 'text', text: '好的，正在為您產生 AI 總結，請稍候幾秒鐘...' });
-      //   const insightText = await generateAiInsight(userId);
-      //   await client.pushMessage(userId, { type: 'text', text: insightText });
-      //   break;
     }
 
     console.log(`[handlePostback] Successfully processed action: ${action} for user ${userId}`);
@@ -830,7 +1345,7 @@ async function handlePostback(event) {
     try {
       await client.replyMessage(replyToken, {
         type: 'text',
-        text: '抱歉，處理您的請求時發生錯誤，請稍後再試。'
+        text: getCatalogEntry('GENERIC_ERROR', locale).message
       });
     } catch (replyError) {
       console.error(`[handlePostback] Failed to send error message to user:`, replyError);
@@ -838,19 +1353,27 @@ async function handlePostback(event) {
   }
 }
 
-async function handleThemeSelection(replyToken, userId, theme) {
-  await saveUserTheme(userId, theme); // 狀態已設為 active
+async function handleThemeSelection(replyToken, userId, themeCode) {
+  const locale = await getUserLocale(userId);
+  const themeInfo = findTheme(await loadThemes(locale), themeCode);
+  if (!themeInfo) {
+    console.warn(`[handleThemeSelection] Unknown or inactive theme '${themeCode}' from user ${userId}`);
+    await sendThemeSelectMenu(replyToken, userId);
+    return;
+  }
+  const theme = themeInfo.code;
+  const userRow = await saveUserTheme(userId, theme); // 狀態已設為 active
 
-  const messageId = 'CONFIRM_' + theme;
-  const confirmMsg = await getMessage(messageId);
+  // 確認文字的順序：Themes 的 ConfirmText → Messages 的 CONFIRM_<主題>（舊設定，可以帶按鈕）→ THEME_CONFIRM_FALLBACK
+  const confirmMsg = themeInfo.confirmText ? null : await getMessage('CONFIRM_' + theme, locale);
   let text;
 
-  if (confirmMsg) {
+  if (themeInfo.confirmText) {
+    text = formatMessage(themeInfo.confirmText, { 主題: themeInfo.name });
+  } else if (confirmMsg) {
     text = confirmMsg.message;
   } else {
-    const fallbackMsg = await getMessage('THEME_CONFIRM_FALLBACK');
-    const themeChinese = THEME_MAP[theme] || '這個主題';
-    text = fallbackMsg ? fallbackMsg.message.replace('【主題】', themeChinese) : `收到。\n\n這週，我們一起關注「${themeChinese}」。`;
+    text = await getText('THEME_CONFIRM_FALLBACK', locale, { 主題: themeInfo.name });
   }
 
   // 這裡的邏輯是：
@@ -859,156 +1382,978 @@ async function handleThemeSelection(replyToken, userId, theme) {
   let buttons = confirmMsg ? confirmMsg.buttons : null;
 
   if (!buttons || buttons.length === 0) {
-    const today = new Date().getDay(); // 0 = Sun, 1 = Mon, ..., 6 = Sat
+    const today = getZonedParts(new Date(), getUserTimezone(userRow)).weekday; // 0 = Sun, 1 = Mon, ..., 6 = Sat
     if (today >= 1 && today <= 5) { // 如果是週一到週五
-      buttons = [{ "label": "開始回答今天問題", "data": "action=start_question" }];
+      buttons = [{ label: await getText('BUTTON_START_QUESTION', locale), data: 'action=start_question' }];
     } else {
-      text += '\n\n問題將從下週一開始。';
+      text += '\n\n' + await getText('QUESTIONS_START_NEXT_MONDAY', locale);
     }
   }
 
   await safeSendMessage(
     (msg) => client.replyMessage(replyToken, msg),
-    createMessageObject(text, buttons),
+    createMessageObject(text, buttons, confirmMsg ? confirmMsg.quickReplies : null),
     `handleThemeSelection: confirm ${theme} for user ${userId}`
   );
 }
 
 
-async function sendWelcomeMessage(replyToken, userId) {
-  const today = new Date().getDay();
+async function sendWelcomeMessage(replyToken, userRow) {
+  const userId = userRow.get('userId');
+  const today = getZonedParts(new Date(), getUserTimezone(userRow)).weekday;
   const messageId = (today === 1) ? 'WELCOME_MONDAY' : 'WELCOME_OTHER_DAY'; // 週日加入也視為非週一
-  const welcomeMsg = await getMessage(messageId);
+  const locale = await getUserLocale(userRow);
+  const welcomeMsg = await getMessage(messageId, locale);
   if (welcomeMsg) {
-    const message = createMessageObject(welcomeMsg.message, welcomeMsg.buttons);
+    const message = createMessageObject(welcomeMsg.message, welcomeMsg.buttons, welcomeMsg.quickReplies);
     await safeSendMessage(
       (msg) => client.replyMessage(replyToken, msg),
       message,
       `sendWelcomeMessage: ${messageId} for user ${userId}`
     );
-    const status = (today === 1) ? 'waiting_theme' : 'waiting_monday';
-    await updateUserStatus(userId, status);
+    await updateUserStatus(userRow, (today === 1) ? EVENTS.WELCOMED_ON_MONDAY : EVENTS.WELCOMED_OTHER_DAY);
   } else {
-    await replyWithText(replyToken, 'WELCOME_FALLBACK');
+    await replyWithText(replyToken, locale, 'WELCOME_FALLBACK');
   }
 }
 
-// --- 5. 資料庫操作函式 ---
+async function sendDeliverySlotMenu(replyToken, userId) {
+  const locale = await getUserLocale(userId);
+  const menuMsg = await getMessage('CHOOSE_SLOT', locale) || await getMessage('GENERIC_ERROR', locale);
+  const buttons = (menuMsg.buttons && menuMsg.buttons.length > 0)
+    ? menuMsg.buttons
+    : await Promise.all(Object.keys(DELIVERY_SLOTS).map(async slot => ({
+      label: await getText(DELIVERY_SLOTS[slot].labelId, locale),
+      data: `action=set_slot&slot=${slot}`,
+    })));
 
-async function getOrCreateUserRow(userId) {
-  const userSheet = doc.sheetsByTitle['Users'];
-  const rows = await userSheet.getRows();
-  let userRow = rows.find(row => row.get('userId') === userId);
-  if (!userRow) {
-    const now = new Date();
-    userRow = await userSheet.addRow({ userId: userId, status: 'new', CreatedAt: now });
-  }
-  return userRow;
+  await safeSendMessage(
+    (msg) => client.replyMessage(replyToken, msg),
+    createMessageObject(menuMsg.message, buttons),
+    `sendDeliverySlotMenu: user ${userId}`
+  );
 }
 
-async function getOrCreateUser(userId, userSheet) {
-  // Wrapper for backward compatibility
-  const row = await getOrCreateUserRow(userId);
-  return row.toObject();
-}
+// Rich Menu 的「設定」：時段、暫停、課程、匯出、語言與 AI 總結開關集中在這裡
+async function sendSettingsMenu(replyToken, userId) {
+  const userRow = await getOrCreateUserRow(userId);
+  const locale = await getUserLocale(userRow);
+  const menuMsg = await getMessage('SETTINGS_MENU', locale) || await getMessage('GENERIC_ERROR', locale);
+  const quickReplies = menuMsg.quickReplies || [
+    { type: 'message', label: await getText('SETTINGS_CHANGE_THEME', locale), text: '/theme' },
+    { label: await getText('SETTINGS_CHANGE_LANGUAGE', locale), data: 'action=language' },
+    isAiOptedOut(userRow)
+      ? { label: await getText('SETTINGS_AI_ON', locale), data: 'action=ai_opt_in' }
+      : { label: await getText('SETTINGS_AI_OFF', locale), data: 'action=ai_opt_out' },
+  ];
 
-async function updateUserStatus(userOrId, status) {
-  let userRow;
+  await safeSendMessage(
+    (msg) => client.replyMessage(replyToken, msg),
+    createMessageObject(menuMsg.message, menuMsg.buttons, quickReplies),
+    `sendSettingsMenu: user ${userId}`
+  );
+}
 
-  if (typeof userOrId === 'string') {
-    const userSheet = doc.sheetsByTitle['Users'];
-    const rows = await userSheet.getRows();
-    userRow = rows.find(row => row.get('userId') === userOrId);
-  } else {
-    userRow = userOrId;
+async function handleDeliverySlotSelection(replyToken, userId, slot) {
+  const locale = await getUserLocale(userId);
+  if (!DELIVERY_SLOTS[slot]) {
+    console.warn(`[handleDeliverySlotSelection] Unknown slot '${slot}' from user ${userId}`);
+    await client.replyMessage(replyToken, { type: 'text', text: await getText('UNKNOWN_SLOT', locale) });
+    return;
   }
 
-  if (userRow) {
-    const oldStatus = userRow.get('status');
-    const timestamp = new Date().toISOString();
-    const userId = userRow.get('userId');
-    console.log(`[${timestamp}] Status change for user ${userId}: ${oldStatus} -> ${status}`);
+  await saveDeliverySlot(userId, slot);
 
-    userRow.set('status', status);
-    userRow.set('lastActive', new Date());
-    await userRow.save();
-  } else {
-    console.warn(`[updateUserStatus] User not found: ${userOrId}`);
+  const label = await getText(DELIVERY_SLOTS[slot].labelId, locale);
+  await client.replyMessage(replyToken, { type: 'text', text: await getText('SLOT_SAVED', locale, { 時段: label }) });
+}
+
+// 把訊息轉成回答內容：{ text, answerType, mediaRefs, mediaFailed }
+// 照片、語音的 text 是 [照片]、[語音 12 秒] 這類標籤，讓紀錄與 AI 總結都看得到這則回答
+// 檔案沒存下來時 mediaFailed 為 true，由呼叫端通知使用者
+async function readAnswerContent(event) {
+  const message = event.message;
+  const userId = event.source.userId;
+
+  if (message.type === 'text') {
+    return { text: message.text, answerType: 'text', mediaRefs: [] };
+  }
+
+  const locale = await getUserLocale(userId);
+  if (message.type === 'sticker') {
+    const keywords = (message.keywords || []).slice(0, 3);
+    return {
+      text: keywords.length > 0
+        ? await getText('MEDIA_LABEL_STICKER_KEYWORDS', locale, { 關鍵字: keywords.join(await getText('LIST_SEPARATOR', locale)) })
+        : await getText(MEDIA_LABEL_IDS.sticker, locale),
+      answerType: 'sticker',
+      mediaRefs: [`sticker:${message.packageId}/${message.stickerId}`],
+    };
+  }
+
+  let text = await getText(MEDIA_LABEL_IDS[message.type], locale);
+  if (message.type === 'audio' && message.duration) {
+    text = await getText('MEDIA_LABEL_AUDIO_DURATION', locale, { 秒數: Math.round(message.duration / 1000) });
+  }
+
+  // 使用者從其他服務分享的內容不在 LINE 伺服器上，直接記錄原始網址
+  if (message.contentProvider && message.contentProvider.type === 'external') {
+    return { text, answerType: message.type, mediaRefs: [message.contentProvider.originalContentUrl] };
+  }
+
+  try {
+    if (!blobStore) {
+      throw new Error('BLOB_STORE_BACKEND is not configured');
+    }
+    const buffer = await downloadMessageContent(message.id);
+    const contentType = message.type === 'image' ? 'image/jpeg' : 'audio/m4a';
+    const ref = await blobStore.put(`answers/${userId}/${message.id}`, buffer, { contentType });
+    return { text, answerType: message.type, mediaRefs: [ref] };
+  } catch (error) {
+    // 下載失敗也要留下這則回答，只是沒有檔案可以回看
+    console.error(`[readAnswerContent] Failed to store ${message.type} ${message.id} from user ${userId}:`, error.message);
+    return { text, answerType: message.type, mediaRefs: [], mediaFailed: true };
+  }
+}
+
+// 回答的文字已存檔但檔案沒有，在回覆之後另外推播說明
+async function notifyMediaFailed(userId, locale, content) {
+  if (!content.mediaFailed) return;
+  try {
+    await delivery.push(
+      userId,
+      { type: 'text', text: await getText('MEDIA_SAVE_FAILED', locale) },
+      { context: `notifyMediaFailed: user ${userId}` }
+    );
+  } catch (error) {
+    // 回答已經存下來了，通知送不出去時不能讓整個事件重試（會重複寫入回答）
+    console.error(`[notifyMediaFailed] Failed to notify user ${userId}:`, error.message);
+  }
+}
+
+async function downloadMessageContent(messageId) {
+  const stream = await client.getMessageContent(messageId);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// 回答已存檔的回覆，附上「修改回答」按鈕（Messages 的 HEARD 有設定按鈕時以它為準）
+async function replyAnswerSaved(replyToken, userId) {
+  const locale = await getUserLocale(userId);
+  const heardMsg = await getMessage('HEARD', locale) || await getMessage('FALLBACK_GENERAL', locale);
+
+  await safeSendMessage(
+    (msg) => client.replyMessage(replyToken, msg),
+    createMessageObject(heardMsg.message, heardMsg.buttons, heardMsg.quickReplies),
+    `replyAnswerSaved: user ${userId}`
+  );
+}
+
+async function handleEditAnswerRequest(replyToken, userId) {
+  const userRow = await getOrCreateUserRow(userId);
+  const locale = await getUserLocale(userRow);
+  const answerRow = await getEditableAnswerRow(userRow);
+
+  if (!answerRow) {
+    await replyWithText(replyToken, locale, 'ANSWER_EDIT_CLOSED', 'ACK_ACTIVE');
+    return;
+  }
+
+  const accepted = await updateUserStatus(userRow, EVENTS.EDIT_REQUESTED, { context: answerRow.get('AnswerID') });
+  if (!accepted) {
+    await replyWithText(replyToken, locale, 'ANSWER_EDIT_CLOSED', 'ACK_ACTIVE');
+    return;
+  }
+
+  const text = await getText('ANSWER_EDIT_PROMPT', locale, { 回答: answerRow.get('answer') || '' });
+  await client.replyMessage(replyToken, { type: 'text', text: text.substring(0, 5000) });
+}
+
+// 選單依 Themes 資料表產生；主題超過 4 個時改用 carousel 或 quick reply（見 src/themes.js）
+async function sendThemeSelectMenu(replyToken, userId) {
+  const locale = await getUserLocale(userId);
+  const msg = await getMessage('THEME_SELECT', locale) || await getMessage('THEME_SELECT_FALLBACK', locale);
+  await safeSendMessage(
+    (messages) => client.replyMessage(replyToken, messages),
+    buildThemePicker(msg.message, await loadThemes(locale), {
+      selectLabel: await getText('THEME_PICKER_SELECT', locale),
+      description: await getText('THEME_PICKER_DESCRIPTION', locale),
+    }),
+    `sendThemeSelectMenu: user ${userId}`
+  );
+}
+
+// /theme 不帶參數時顯示主題選單；帶參數時可以用代碼或使用者語系的名稱直接選（/theme SELF、/theme 家庭）
+async function handleThemeCommand(replyToken, userId, args) {
+  if (!args) {
+    await sendThemeSelectMenu(replyToken, userId);
+    return;
+  }
+
+  const locale = await getUserLocale(userId);
+  const themes = await loadThemes(locale);
+  const theme = findTheme(themes, args);
+  if (!theme) {
+    const option = await getText('THEME_OPTION', locale);
+    const options = themes.map(({ code, name }) => formatMessage(option, { 主題: name, 代碼: code })).join(await getText('LIST_SEPARATOR', locale));
+    await client.replyMessage(replyToken, { type: 'text', text: await getText('THEME_NOT_FOUND', locale, { 輸入: args, 選項: options }) });
+    return;
+  }
+  await handleThemeSelection(replyToken, userId, theme.code);
+}
+
+// /program：沒有參數時列出課程，/program 代碼 報名，/program stop 退出
+async function handleProgramCommand(replyToken, userId, args) {
+  if (!args) {
+    await sendProgramMenu(replyToken, userId);
+  } else if (['stop', '退出', '離開'].includes(args.toLowerCase())) {
+    await leaveProgram(replyToken, userId);
+  } else {
+    const program = findProgram(await loadPrograms(), args);
+    await enrollProgram(replyToken, userId, program ? program.programId : args);
+  }
+}
+
+async function sendProgramMenu(replyToken, userId) {
+  const userRow = await getOrCreateUserRow(userId);
+  const locale = await getUserLocale(userRow);
+  const programMap = await loadPrograms();
+  const programs = Array.from(programMap.values());
+  if (programs.length === 0) {
+    await client.replyMessage(replyToken, { type: 'text', text: await getText('NO_PROGRAMS', locale) });
+    return;
+  }
+
+  const enrolled = programMap.get(userRow.get('programId'));
+  const header = enrolled
+    ? await getText('PROGRAM_CURRENT', locale, { 課程: enrolled.name, 週次: userRow.get('programWeek'), 總週數: enrolled.weeks.length })
+    : '';
+  const item = await getText('PROGRAM_LIST_ITEM', locale);
+  const description = await getText('PROGRAM_LIST_DESCRIPTION', locale);
+  const list = programs.map(program => formatMessage(item, {
+    課程: program.name,
+    總週數: program.weeks.length,
+    說明: program.description ? formatMessage(description, { 說明: program.description }) : '',
+  })).join('\n');
+
+  const buttons = enrolled
+    ? [{ label: await getText('PROGRAM_LEAVE_BUTTON', locale), data: 'action=leave_program' }]
+    : programs.slice(0, 4).map(program => ({ label: program.name, data: `action=enroll_program&program=${program.programId}` }));
+  const menu = createMessageObject(await getText(enrolled ? 'PROGRAM_LEAVE_PROMPT' : 'PROGRAM_ENROLL_PROMPT', locale), buttons);
+  validateMessage(menu);
+
+  await client.replyMessage(replyToken, [
+    { type: 'text', text: (await getText('PROGRAM_LIST', locale, { 目前課程: header, 課程列表: list })).substring(0, 5000) },
+    menu
+  ]);
+}
+
+async function enrollProgram(replyToken, userId, programId) {
+  const userRow = await getOrCreateUserRow(userId);
+  const locale = await getUserLocale(userRow);
+  const program = (await loadPrograms()).get(programId);
+  if (!program) {
+    await client.replyMessage(replyToken, { type: 'text', text: await getText('PROGRAM_NOT_FOUND', locale, { 課程: programId || '' }) });
+    return;
+  }
+
+  userRow.set('programId', program.programId);
+  userRow.set('programStartedAt', new Date());
+  const accepted = await startProgramWeek(userRow, program, 1);
+  if (!accepted) {
+    await replyWithText(replyToken, locale, 'GENERIC_ERROR');
+    return;
+  }
+  console.log(`[enrollProgram] User ${userId} enrolled in ${program.programId}`);
+
+  // 和選主題一樣：週一到週五可以直接開始回答今天的問題
+  const today = getZonedParts(new Date(), getUserTimezone(userRow)).weekday;
+  const buttons = today >= 1 && today <= 5 ? [{ label: await getText('BUTTON_START_QUESTION', locale), data: 'action=start_question' }] : null;
+  await safeSendMessage(
+    (msg) => client.replyMessage(replyToken, msg),
+    createMessageObject(await buildProgramWeekText(program, 1, locale), buttons),
+    `enrollProgram: ${program.programId} for user ${userId}`
+  );
+}
+
+async function leaveProgram(replyToken, userId) {
+  const userRow = await getOrCreateUserRow(userId);
+  const locale = await getUserLocale(userRow);
+  const programId = userRow.get('programId');
+  if (!programId) {
+    await client.replyMessage(replyToken, { type: 'text', text: await getText('PROGRAM_NOT_ENROLLED', locale) });
+    return;
+  }
+
+  clearProgramEnrollment(userRow);
+  await userRow.save();
+  console.log(`[leaveProgram] User ${userId} left ${programId}`);
+  await client.replyMessage(replyToken, { type: 'text', text: await getText('PROGRAM_LEFT', locale) });
+}
+
+// 沒有參數時顯示語言選單，/language en 直接切換
+async function handleLanguageCommand(replyToken, userId, args) {
+  if (!args) {
+    await sendLanguageMenu(replyToken, userId);
+    return;
+  }
+  await saveUserLocale(replyToken, userId, args);
+}
+
+async function sendLanguageMenu(replyToken, userId) {
+  const locale = await getUserLocale(userId);
+  const message = createMessageObject(
+    await getText('LOCALE_MENU', locale),
+    null,
+    SUPPORTED_LOCALES.map(code => ({
+      label: getCatalogEntry('LOCALE_NAME', code).message,
+      data: `action=set_locale&locale=${code}`,
+    }))
+  );
+  validateMessage(message);
+  await client.replyMessage(replyToken, message);
+}
+
+// value 可以是語系代碼（en、zh-TW）或語言名稱（English、繁體中文）
+async function saveUserLocale(replyToken, userId, value) {
+  const userRow = await getOrCreateUserRow(userId);
+  const locale = findSupportedLocale(value);
+  if (!locale) {
+    const currentLocale = await getUserLocale(userRow);
+    const options = SUPPORTED_LOCALES
+      .map(code => `${getCatalogEntry('LOCALE_NAME', code).message} (${code})`)
+      .join(await getText('LIST_SEPARATOR', currentLocale));
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: await getText('LOCALE_NOT_FOUND', currentLocale, { 選項: options }),
+    });
+    return;
+  }
+
+  userRow.set('locale', locale);
+  userRow.set('lastActive', new Date());
+  await syncUserRichMenu(userRow);
+  await userRow.save();
+  userLocaleCache.set(userId, { locale, expires: Date.now() + CONTENT_CACHE_TTL_MS });
+  console.log(`[saveUserLocale] User ${userId} locale set to ${locale}`);
+  await client.replyMessage(replyToken, { type: 'text', text: await getText('LOCALE_SAVED', locale) });
+}
+
+// 加入好友（包含封鎖後解除封鎖）時主動送出歡迎流程，不用等使用者先傳訊息
+async function handleFollow(event) {
+  const userId = event.source.userId;
+  const userRow = await getOrCreateUserRow(userId);
+  console.log(`[handleFollow] User ${userId} followed (status: ${normalizeStatus(userRow.get('status'))})`);
+
+  // 舊使用者沒有語系時，以 LINE 個人檔案的語言補上
+  if (!userRow.get('locale')) {
+    const locale = await fetchProfileLocale(userId);
+    if (locale) {
+      userRow.set('locale', locale);
+      await userRow.save();
+      userLocaleCache.delete(userId);
+    }
+  }
+
+  if (normalizeStatus(userRow.get('status')) === STATES.INACTIVE) {
+    await updateUserStatus(userRow, EVENTS.REFOLLOWED);
+  }
+  if (canTransition(userRow.get('status'), EVENTS.WELCOMED_ON_MONDAY)) {
+    await sendWelcomeMessage(event.replyToken, userRow);
+  }
+}
+
+// 封鎖或刪除好友：標記為 inactive，之後的排程都不會再推播給他
+// 從來沒有互動過的使用者不在 Users 裡，不需要為了標記 inactive 新增一筆資料
+async function handleUnfollow(event) {
+  const userId = event.source.userId;
+  const userRow = await findUserRow(userId);
+  if (!userRow) {
+    console.log(`[handleUnfollow] User ${userId} is not in Users, nothing to update`);
+    return;
+  }
+  await updateUserStatus(userRow, EVENTS.UNFOLLOWED);
+}
+
+async function sendPauseMenu(replyToken, userId) {
+  const userRow = await getOrCreateUserRow(userId);
+  const locale = await getUserLocale(userRow);
+  const today = getDateString(new Date(), getUserTimezone(userRow));
+  const menuMsg = await getMessage('PAUSE_MENU', locale) || await getMessage('GENERIC_ERROR', locale);
+  const quickReplies = menuMsg.quickReplies || [
+    { type: 'datetimepicker', label: await getText('PAUSE_PICK_DATE', locale), data: 'action=pause', mode: 'date', initial: today, min: today, max: addDays(today, MAX_PAUSE_DAYS - 1) },
+  ];
+
+  await safeSendMessage(
+    (msg) => client.replyMessage(replyToken, msg),
+    createMessageObject(menuMsg.message, menuMsg.buttons, quickReplies),
+    `sendPauseMenu: user ${userId}`
+  );
+}
+
+// days：暫停 N 天（含今天）；scope=week：暫停到這週日，週末按下則暫停到下週日
+// date：datetimepicker 選的最後一天（YYYY-MM-DD）
+async function handlePause(replyToken, userId, params) {
+  const userRow = await getOrCreateUserRow(userId);
+  const locale = await getUserLocale(userRow);
+  const timeZone = getUserTimezone(userRow);
+  const today = getDateString(new Date(), timeZone);
+
+  let pausedUntil;
+  if (params.date) {
+    const lastDay = addDays(today, MAX_PAUSE_DAYS - 1);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(params.date) || params.date < today || params.date > lastDay) {
+      console.warn(`[handlePause] Invalid pause date '${params.date}' from user ${userId}`);
+      await client.replyMessage(replyToken, { type: 'text', text: await getText('PAUSE_DATE_OUT_OF_RANGE', locale, { 開始: today, 結束: lastDay }) });
+      return;
+    }
+    pausedUntil = params.date;
+  } else if (params.scope === 'week') {
+    const weekday = getZonedParts(new Date(), timeZone).weekday; // 0 = Sun, 6 = Sat
+    pausedUntil = addDays(today, weekday === 0 ? 7 : weekday === 6 ? 8 : 7 - weekday);
+  } else {
+    const days = Number(params.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_PAUSE_DAYS) {
+      console.warn(`[handlePause] Invalid pause length '${params.days}' from user ${userId}`);
+      await client.replyMessage(replyToken, { type: 'text', text: await getText('PAUSE_DAYS_OUT_OF_RANGE', locale, { 天數: MAX_PAUSE_DAYS }) });
+      return;
+    }
+    pausedUntil = addDays(today, days - 1);
+  }
+
+  userRow.set('pausedUntil', pausedUntil);
+  userRow.set('lastActive', new Date());
+  await syncUserRichMenu(userRow);
+  await userRow.save();
+  console.log(`[handlePause] User ${userId} paused until ${pausedUntil}`);
+
+  await client.replyMessage(replyToken, { type: 'text', text: await getText('PAUSED', locale, { 日期: pausedUntil }) });
+}
+
+async function handleResume(replyToken, userId) {
+  const userRow = await getOrCreateUserRow(userId);
+  if (userRow.get('pausedUntil')) {
+    userRow.set('pausedUntil', '');
+    userRow.set('lastActive', new Date());
+    await syncUserRichMenu(userRow);
+    await userRow.save();
+    console.log(`[handleResume] User ${userId} resumed`);
+  } else if (userRow.get('richMenu') === MENU_KEYS.PAUSED) {
+    // 暫停已經自然結束，但選單還停在「恢復」
+    await syncUserRichMenu(userRow);
+    await userRow.save();
+  }
+  await client.replyMessage(replyToken, { type: 'text', text: await getText('RESUMED', await getUserLocale(userRow)) });
+}
+
+// 關閉後不再產生任何 AI 總結（每週、每月），紀錄也不會送到 AI 服務
+async function setAiOptOut(replyToken, userId, optOut) {
+  const userRow = await getOrCreateUserRow(userId);
+  userRow.set('aiOptOut', optOut);
+  userRow.set('lastActive', new Date());
+  await userRow.save();
+  console.log(`[setAiOptOut] User ${userId} AI processing ${optOut ? 'disabled' : 'enabled'}`);
+
+  const text = await getText(optOut ? 'AI_OPT_OUT_SAVED' : 'AI_OPT_IN_SAVED', await getUserLocale(userRow));
+  await client.replyMessage(replyToken, { type: 'text', text });
+}
+
+// AI 總結要花幾秒鐘：先用 reply token 回覆「產生中」，完成後再用 push 送出結果
+async function handleInsightRequest(replyToken, userId) {
+  const locale = await getUserLocale(userId);
+  if (insightRequestsInFlight.has(userId)) {
+    await replyWithText(replyToken, locale, 'INSIGHT_IN_PROGRESS', 'INSIGHT_LOADING');
+    return;
+  }
+
+  const userRow = await getOrCreateUserRow(userId);
+  if (isAiOptedOut(userRow)) {
+    await replyWithText(replyToken, locale, 'AI_OPTED_OUT', 'GENERIC_ERROR');
+    return;
+  }
+
+  insightRequestsInFlight.add(userId);
+  try {
+    await client.replyMessage(replyToken, { type: 'text', text: await getText('INSIGHT_LOADING', locale) });
+
+    try {
+      const insightText = await getWeeklyInsight(userId, locale);
+      await delivery.push(userId, { type: 'text', text: insightText }, { context: `handleInsightRequest: user ${userId}` });
+    } catch (error) {
+      await pushGenerationError(userId, locale, 'AI_ERROR_WEEKLY', 'handleInsightRequest', error);
+    }
+  } finally {
+    insightRequestsInFlight.delete(userId);
+  }
+}
+
+// 「產生中」的回覆已經用掉 replyToken，之後產生或送出失敗時只能用 push 告訴使用者
+async function pushGenerationError(userId, locale, messageId, context, error) {
+  console.error(`[${context}] Failed to deliver result to user ${userId}:`, error.message);
+  try {
+    await delivery.push(userId, { type: 'text', text: await getText(messageId, locale) }, { context: `${context}: error notice for user ${userId}` });
+  } catch (pushError) {
+    console.error(`[${context}] Failed to notify user ${userId} about the error:`, pushError.message);
+  }
+}
+
+// 自訂期間的回顧（/reflect 3m FAMILY），和每週 AI 總結一樣先回覆「產生中」再 push 結果
+async function handleReflectionRequest(replyToken, userId, args) {
+  const userRow = await getOrCreateUserRow(userId);
+  const locale = await getUserLocale(userRow);
+  if (isAiOptedOut(userRow)) {
+    await replyWithText(replyToken, locale, 'AI_OPTED_OUT', 'GENERIC_ERROR');
+    return;
+  }
+
+  const timeZone = getUserTimezone(userRow);
+  const range = parseReflectionRange(args, getDateString(new Date(), timeZone), await getThemeMap(locale));
+  if (range.error) {
+    const error = await getText(range.error, locale, range.errorVars);
+    await client.replyMessage(replyToken, { type: 'text', text: await getText('REFLECT_USAGE', locale, { 錯誤: error }) });
+    return;
+  }
+
+  if (insightRequestsInFlight.has(userId)) {
+    await replyWithText(replyToken, locale, 'INSIGHT_IN_PROGRESS', 'INSIGHT_LOADING');
+    return;
+  }
+
+  insightRequestsInFlight.add(userId);
+  try {
+    const themeLabel = range.theme ? await getText('REFLECTION_THEME_LABEL', locale, { 主題: await getThemeName(range.theme, locale) }) : '';
+    await client.replyMessage(replyToken, {
+      type: 'text',
+      text: await getText('REFLECTION_LOADING', locale, { 期間: `${range.start} ~ ${range.end}`, 主題: themeLabel })
+    });
+
+    try {
+      const text = await generateRangeReflection(userId, range, timeZone, locale);
+      await delivery.push(userId, { type: 'text', text }, { context: `handleReflectionRequest: user ${userId}` });
+    } catch (error) {
+      await pushGenerationError(userId, locale, 'AI_ERROR_REFLECTION', 'handleReflectionRequest', error);
+    }
+  } finally {
+    insightRequestsInFlight.delete(userId);
+  }
+}
+
+async function handleStatsRequest(replyToken, userId) {
+  const userRow = await getOrCreateUserRow(userId);
+  const locale = await getUserLocale(userRow);
+  const stats = await getUserStats(userRow);
+  const themeMap = await getThemeMap(locale);
+
+  const themeLine = await getText('STATS_THEME_LINE', locale);
+  const themeLines = stats.themes.length > 0
+    ? stats.themes.map(({ theme, weeksCompleted, answers }) =>
+      formatMessage(themeLine, { 主題: themeMap[theme] || theme, 週數: weeksCompleted, 回答數: answers })).join('\n')
+    : await getText('STATS_NO_ANSWERS', locale);
+
+  const text = await getText('STATS', locale, {
+    總回答數: stats.totalAnswers,
+    目前連續: stats.currentStreak,
+    最長連續: stats.longestStreak,
+    主題統計: themeLines,
+  });
+
+  await client.replyMessage(replyToken, { type: 'text', text: text.substring(0, 5000) });
+}
+
+// 里程碑訊息在 Messages 資料表以 MILESTONE_* 設定，沒有設定的里程碑用 src/i18n.js 的內建文案
+async function sendMilestoneMessages(userId, milestones) {
+  if (!milestones || milestones.length === 0) return;
+  const locale = await getUserLocale(userId);
+  for (const milestone of milestones) {
+    const text = await getText(milestone.id, locale);
+    try {
+      await delivery.push(userId, { type: 'text', text }, { context: `sendMilestoneMessages: ${milestone.id} for user ${userId}` });
+      console.log(`[sendMilestoneMessages] User ${userId} reached ${milestone.id}`);
+    } catch (error) {
+      // 里程碑只是鼓勵，送不出去不影響回答
+      console.error(`[sendMilestoneMessages] Failed to send ${milestone.id} to user ${userId}:`, error.message);
+    }
+  }
+}
+
+// 回覆三種格式的下載連結，連結在 EXPORT_LINK_TTL_MS 後失效
+async function sendExportLinks(replyToken, userId) {
+  const locale = await getUserLocale(userId);
+  if (!PUBLIC_BASE_URL) {
+    console.error('[sendExportLinks] PUBLIC_BASE_URL is not configured, cannot build export links');
+    await replyWithText(replyToken, locale, 'EXPORT_UNAVAILABLE', 'GENERIC_ERROR');
+    return;
+  }
+
+  const expires = Date.now() + EXPORT_LINK_TTL_MS;
+  const formats = { md: 'Markdown', json: 'JSON', csv: 'CSV' };
+  const links = (await Promise.all(Object.keys(formats).map(format => getText('EXPORT_LINK', locale, {
+    格式: formats[format],
+    連結: exportSigner.buildUrl(PUBLIC_BASE_URL, userId, format, expires),
+  })))).join('\n\n');
+  const minutes = Math.round(EXPORT_LINK_TTL_MS / 60000);
+
+  const text = await getText('EXPORT_READY', locale, { 連結: links, 分鐘: minutes });
+  await client.replyMessage(replyToken, { type: 'text', text });
+  console.log(`[sendExportLinks] Export links sent to user ${userId}, expires at ${new Date(expires).toISOString()}`);
+}
+
+// --- 5. 資料庫操作函式 ---
+
+// Messages 資料表中 COMMAND_ALIAS_<指令名稱> 的設定；沒有設定時回傳 null（使用預設關鍵字）
+async function loadCommandAliases(name) {
+  const messageSheet = await storage.getTable('Messages');
+  if (!messageSheet) return null;
+  const rows = await messageSheet.findBy('id', `COMMAND_ALIAS_${name.toUpperCase()}`);
+  const row = rows.find(r => r.get('Active') === 'TRUE' || r.get('Active') === true);
+  return row ? parseList(row.get('Message')) : null;
+}
+
+// 找不到使用者時回傳 null，不會新增資料列
+async function findUserRow(userId) {
+  const userSheet = await storage.getTable('Users');
+  const rows = await userSheet.getRows();
+  return rows.find(row => row.get('userId') === userId) || null;
+}
+
+async function getOrCreateUserRow(userId) {
+  let userRow = await findUserRow(userId);
+  if (!userRow) {
+    const userSheet = await storage.getTable('Users');
+    const now = new Date();
+    userRow = await userSheet.addRow({
+      userId: userId,
+      status: STATES.NEW,
+      CreatedAt: now,
+      timezone: DEFAULT_TIMEZONE,
+      locale: await fetchProfileLocale(userId),
+    });
+  }
+  return userRow;
+}
+
+// 使用者語系（Users.locale）；只傳 userId 時先查快取，避免每次回覆都重讀整張 Users
+// 沒有設定或找不到使用者時使用預設語系
+const userLocaleCache = new Map();
+
+async function getUserLocale(userOrId) {
+  if (typeof userOrId !== 'string') {
+    return normalizeLocale(userOrId ? userOrId.get('locale') : '') || DEFAULT_LOCALE;
+  }
+
+  const cached = userLocaleCache.get(userOrId);
+  if (cached && cached.expires > Date.now()) return cached.locale;
+
+  const userSheet = await storage.getTable('Users');
+  const rows = userSheet ? await userSheet.getRows() : [];
+  const locale = await getUserLocale(rows.find(row => row.get('userId') === userOrId) || null);
+  userLocaleCache.set(userOrId, { locale, expires: Date.now() + CONTENT_CACHE_TTL_MS });
+  return locale;
+}
+
+// LINE 個人檔案的語言設定（例如 zh-TW、en），取不到時回傳空字串（使用預設語系）
+async function fetchProfileLocale(userId) {
+  try {
+    const profile = await client.getProfile(userId);
+    return normalizeLocale(profile.language);
+  } catch (error) {
+    console.warn(`[fetchProfileLocale] Failed to get profile for user ${userId}:`, error.message);
+    return '';
+  }
+}
+
+async function getOrCreateUser(userId, userSheet) {
+  // Wrapper for backward compatibility
+  const row = await getOrCreateUserRow(userId);
+  return row.toObject();
+}
+
+// 狀態只能透過狀態機的事件改變（見 src/userStateMachine.js）
+// 成功時會一併 save() userRow 上其他尚未存檔的變更，並回傳 true；
+// 不合法的轉換會被拒絕（不存檔）、寫入 StatusHistory，並回傳 false
+async function updateUserStatus(userOrId, event, { context = '' } = {}) {
+  let userRow;
+
+  if (typeof userOrId === 'string') {
+    const userSheet = await storage.getTable('Users');
+    const rows = await userSheet.getRows();
+    userRow = rows.find(row => row.get('userId') === userOrId);
+  } else {
+    userRow = userOrId;
+  }
+
+  if (!userRow) {
+    console.warn(`[updateUserStatus] User not found: ${userOrId}`);
+    return false;
+  }
+
+  const userId = userRow.get('userId');
+  const { allowed, from, to, reason } = resolveTransition(userRow.get('status'), event);
+
+  if (!allowed) {
+    console.warn(`[updateUserStatus] Rejected transition for user ${userId}: ${reason}`);
+    await statusHistory.record({ userId, from, to, event, accepted: false, context: context || reason });
+    return false;
+  }
+
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] Status change for user ${userId}: ${from} -> ${to} (${event})`);
+
+  userRow.set('status', to);
+  userRow.set('lastActive', new Date());
+  await syncUserRichMenu(userRow);
+  await userRow.save();
+  await statusHistory.record({ userId, from, to, event, accepted: true, context });
+  return true;
+}
+
+// 依狀態、暫停設定與語系切換 Rich Menu，只更新 richMenu / richMenuLocale 欄位，由呼叫端存檔
+// 切換失敗不影響狀態轉換，下次狀態改變時會再試一次
+async function syncUserRichMenu(userRow) {
+  const userId = userRow.get('userId');
+  const key = getMenuKey(userRow.get('status'), { paused: isUserPaused(userRow) });
+  if (!key) return;
+
+  try {
+    const current = { key: userRow.get('richMenu'), locale: userRow.get('richMenuLocale') || DEFAULT_LOCALE };
+    const linkedLocale = await richMenus.linkUser(userId, key, await getUserLocale(userRow), current);
+    if (linkedLocale) {
+      console.log(`[syncUserRichMenu] User ${userId}: ${current.key || '(default)'} (${current.locale}) -> ${key} (${linkedLocale})`);
+      userRow.set('richMenu', key);
+      userRow.set('richMenuLocale', linkedLocale);
+    }
+  } catch (error) {
+    console.error(`[syncUserRichMenu] Failed to link '${key}' menu for user ${userId}:`, error.message);
   }
 }
 
 async function saveUserTheme(userId, theme) {
-  const userSheet = doc.sheetsByTitle['Users'];
+  const userSheet = await storage.getTable('Users');
   const rows = await userSheet.getRows();
   const userRow = rows.find(row => row.get('userId') === userId);
   if (userRow) {
-    userRow.set('status', 'active');
     userRow.set('currentTheme', theme);
-    userRow.set('currentWeek', getCurrentWeekString());
-    userRow.set('lastActive', new Date());
+    userRow.set('currentWeek', getCurrentWeekString(getUserTimezone(userRow)));
+    // 狀態改為 active，並一併存檔
+    await updateUserStatus(userRow, EVENTS.THEME_SELECTED, { context: theme });
+  }
+  return userRow;
+}
+
+// 主題名稱依使用者語系：Themes 依 Locale 挑列，內建主題的名稱來自 THEME_NAME_*
+async function loadThemes(locale = DEFAULT_LOCALE) {
+  const themeSheet = await storage.getTable('Themes');
+  const defaultNames = {};
+  for (const theme of DEFAULT_THEMES) {
+    defaultNames[theme.code] = await getText(theme.nameId, locale);
+  }
+  return buildThemes(themeSheet ? (await themeSheet.getRows()).map(row => row.toObject()) : [], locale, defaultNames);
+}
+
+async function getThemeMap(locale = DEFAULT_LOCALE) {
+  return toThemeMap(await loadThemes(locale));
+}
+
+// 停用或刪除的主題仍然可能出現在舊的回答裡，找不到時直接顯示代碼
+async function getThemeName(code, locale = DEFAULT_LOCALE) {
+  return (await getThemeMap(locale))[code] || code;
+}
+
+async function loadPrograms() {
+  const programSheet = await storage.getTable('Programs');
+  if (!programSheet) return new Map();
+  return buildPrograms((await programSheet.getRows()).map(row => row.toObject()));
+}
+
+// 使用者目前所在的課程週；沒有參加課程，或這週自己改選了其他主題時回傳 null
+async function getCurrentProgramWeek(userRow) {
+  const programId = userRow.get('programId');
+  if (!programId) return null;
+  const week = getProgramWeek((await loadPrograms()).get(programId), userRow.get('programWeek'));
+  return week && week.theme === userRow.get('currentTheme') ? week : null;
+}
+
+function clearProgramEnrollment(userRow) {
+  userRow.set('programId', '');
+  userRow.set('programWeek', '');
+  userRow.set('programStartedAt', '');
+}
+
+// 把課程的第 weekIndex 週設為使用者這週的主題，並一併存檔
+async function startProgramWeek(userRow, program, weekIndex) {
+  const week = getProgramWeek(program, weekIndex);
+  userRow.set('programWeek', weekIndex);
+  userRow.set('currentTheme', week.theme);
+  userRow.set('currentWeek', getCurrentWeekString(getUserTimezone(userRow)));
+  return updateUserStatus(userRow, EVENTS.THEME_SELECTED, { context: `${program.programId}#${weekIndex}` });
+}
+
+async function buildProgramWeekText(program, weekIndex, locale) {
+  const week = getProgramWeek(program, weekIndex);
+  if (week.message) return week.message;
+
+  return getText('PROGRAM_WEEK', locale, {
+    課程: program.name,
+    週次: weekIndex,
+    總週數: program.weeks.length,
+    主題: await getThemeName(week.theme, locale),
+  });
+}
+
+// 週一排程：進入課程的下一週並送出說明；課程已經結束（或被刪除）時結束報名，回傳 { completed: true }
+async function advanceProgram(userRow, thisWeek) {
+  const userId = userRow.get('userId');
+  const locale = await getUserLocale(userRow);
+  const program = (await loadPrograms()).get(userRow.get('programId'));
+  const currentIndex = Number(userRow.get('programWeek')) || 1;
+  // 同一週重複執行（force）時不要再往前推進
+  const nextIndex = userRow.get('currentWeek') === thisWeek ? currentIndex : currentIndex + 1;
+
+  if (!getProgramWeek(program, nextIndex)) {
+    const programName = program ? program.name : userRow.get('programId');
+    clearProgramEnrollment(userRow);
     await userRow.save();
+    const text = await getText('PROGRAM_COMPLETED', locale, { 課程: programName });
+    await delivery.push(userId, { type: 'text', text }, { context: `advanceProgram: completed for user ${userId}` });
+    console.log(`[advanceProgram] User ${userId} completed program ${programName}`);
+    return { completed: true };
   }
+
+  const message = createMessageObject(
+    await buildProgramWeekText(program, nextIndex, locale),
+    [{ label: await getText('BUTTON_START_QUESTION', locale), data: 'action=start_question' }]
+  );
+  validateMessage(message);
+  await delivery.push(userId, message, { context: `advanceProgram: ${program.programId} week ${nextIndex} for user ${userId}` });
+
+  try {
+    await startProgramWeek(userRow, program, nextIndex);
+  } catch (saveError) {
+    // 訊息已經送達，狀態存檔失敗只記錄下來
+    console.error(`✗ Sent program week to user ${userId} but failed to update status:`, saveError.message);
+  }
+  return { completed: false, programId: program.programId, week: nextIndex };
 }
 
-async function getMessage(messageId) {
-  const messageSheet = doc.sheetsByTitle['Messages'];
+async function saveDeliverySlot(userId, slot) {
+  const userRow = await getOrCreateUserRow(userId);
+  userRow.set('deliverySlot', slot);
+  userRow.set('lastActive', new Date());
+  await userRow.save();
+  console.log(`[saveDeliverySlot] User ${userId} delivery slot set to ${slot}`);
+}
+
+// 依使用者語系挑選 Messages 的設定（Locale 欄位，留空表示預設語系），沒有設定時用 src/i18n.js 的內建文案
+// 資料表的語系比內建文案差時（例如只有中文列、內建文案有英文）以內建文案為準；
+// 使用資料表的設定時，沒有填的按鈕與 Quick Reply 由同語系的內建文案補上
+async function getMessage(messageId, locale = DEFAULT_LOCALE) {
+  const messageSheet = await storage.getTable('Messages');
   if (!messageSheet) {
     console.error("Sheet 'Messages' not found.");
-    return null;
   }
-  const rows = await messageSheet.getRows();
-  const row = rows.find(r => r.get('MessageID') === messageId && (r.get('Active') === 'TRUE' || r.get('Active') === true));
-  if (row) {
+  const rows = messageSheet
+    ? (await messageSheet.findBy('id', messageId)).filter(r => r.get('Active') === 'TRUE' || r.get('Active') === true)
+    : [];
+  const row = pickLocalized(rows, locale, r => r.get('Locale'));
+  const catalogEntry = getCatalogEntry(messageId, locale);
+
+  if (row && (!catalogEntry || localeRank(row.get('Locale'), locale) <= localeRank(catalogEntry.locale, locale))) {
+    const defaults = getCatalogEntry(messageId, row.get('Locale') || DEFAULT_LOCALE) || {};
     return {
       message: row.get('Message'),
-      buttons: row.get('Buttons') ? JSON.parse(row.get('Buttons')) : null
+      buttons: row.get('Buttons') ? JSON.parse(row.get('Buttons')) : defaults.buttons || null,
+      quickReplies: row.get('QuickReplies') ? JSON.parse(row.get('QuickReplies')) : defaults.quickReplies || null
     };
   }
+  if (catalogEntry) {
+    return { message: catalogEntry.message, buttons: catalogEntry.buttons, quickReplies: catalogEntry.quickReplies };
+  }
   console.warn(`Message with ID "${messageId}" not found in sheet.`);
   return null;
 }
 
-async function getQuestion(theme, day) {
-  const questionSheet = doc.sheetsByTitle['Questions'];
-  const rows = await questionSheet.getRows();
-  const matchingQuestions = rows.filter(row =>
-    row.get('Theme') === theme &&
-    row.get('Day') === day &&
-    (row.get('Active') === 'TRUE' || row.get('Active') === true)
-  );
-  if (matchingQuestions.length > 0) {
-    const row = matchingQuestions[Math.floor(Math.random() * matchingQuestions.length)];
-    return { questionId: row.get('QuestionID'), question: row.get('Question') };
-  }
-  return null;
+// 只需要文字的地方：代入【變數】後回傳，找不到時回傳空字串
+async function getText(messageId, locale, vars = {}) {
+  const msg = await getMessage(messageId, locale);
+  return msg ? formatMessage(msg.message, vars) : '';
+}
+
+// Messages 裡的 FLEX_* 版型（見 src/flexRenderer.js）；沒有設定或格式錯誤時回傳 null，使用預設版型
+async function loadFlexTemplate(kind, locale) {
+  const msg = await getMessage(TEMPLATE_IDS[kind], locale);
+  return msg ? parseTemplate(msg.message) : null;
+}
+
+// 避開使用者回答過的題目，整個題庫都回答過才重複（規則見 src/questionPicker.js）
+// 課程指定了 questionSet 時只用該組題目，沒有符合的題目才用整個主題
+async function getQuestion(userId, theme, day, { questionSet = '', locale = DEFAULT_LOCALE } = {}) {
+  const questionSheet = await storage.getTable('Questions');
+  const themeRows = filterRowsByLocale((await questionSheet.findBy('theme', theme))
+    .filter(row => row.get('Active') === 'TRUE' || row.get('Active') === true), locale);
+  const setRows = questionSet ? themeRows.filter(row => row.get('QuestionSet') === questionSet) : [];
+  const questions = (setRows.length > 0 ? setRows : themeRows)
+    .map(row => ({
+      questionId: row.get('QuestionID'),
+      question: row.get('Question'),
+      day: row.get('Day'),
+      weight: row.get('Weight'),
+      tags: row.get('Tags'),
+      difficulty: row.get('Difficulty'),
+    }));
+
+  const answerSheet = await storage.getTable('Answers');
+  const history = new Map();
+  (await answerSheet.findBy('user', userId)).forEach(row => {
+    const answeredAt = new Date(row.get('timestamp')).getTime() || 0;
+    const questionId = row.get('questionId');
+    if (!history.has(questionId) || history.get(questionId) < answeredAt) {
+      history.set(questionId, answeredAt);
+    }
+  });
+
+  const { question, reason } = pickQuestion(questions, { day, history, tagWeights: QUESTION_TAG_WEIGHTS });
+  if (!question) return null;
+  console.log(`[getQuestion] Picked ${question.questionId} for user ${userId} (theme=${theme}, day=${day}, ${reason})`);
+  return { questionId: question.questionId, question: question.question };
+}
+
+// 只留下最符合使用者語系的題目；題庫沒有這個語系時用預設語系（Locale 留空）的題目
+function filterRowsByLocale(rows, locale) {
+  const best = pickLocalized(rows, locale, row => row.get('Locale'));
+  if (!best) return rows;
+  const bestLocale = normalizeLocale(best.get('Locale')) || DEFAULT_LOCALE;
+  return rows.filter(row => (normalizeLocale(row.get('Locale')) || DEFAULT_LOCALE) === bestLocale);
 }
 
 async function getQuestionById(questionId) {
-  const questionSheet = doc.sheetsByTitle['Questions'];
-  const rows = await questionSheet.getRows();
-  const row = rows.find(r => r.get('QuestionID') === questionId);
+  const questionSheet = await storage.getTable('Questions');
+  const [row] = await questionSheet.findBy('id', questionId);
   if (row) {
     return { questionId: row.get('QuestionID'), question: row.get('Question') };
   }
   return null;
 }
 
-async function saveUserAnswer(userRow, answer) {
+async function saveUserAnswer(userRow, answer, { answerType = 'text', mediaRefs = [] } = {}) {
   const userId = userRow.get('userId');
   const lastQuestionId = userRow.get('lastQuestionId');
 
   if (!lastQuestionId) {
     console.log(`User ${userId} answered without a pending question. Ignoring.`);
-    return;
+    return [];
   }
 
   const question = await getQuestionById(lastQuestionId);
-  const dayOfWeek = getCurrentDayString();
+  const dayOfWeek = getCurrentDayString(getUserTimezone(userRow));
 
-  const answerSheet = doc.sheetsByTitle['Answers'];
+  const answerSheet = await storage.getTable('Answers');
 
+  const answerId = 'A' + new Date().getTime();
   await answerSheet.addRow({
-    AnswerID: 'A' + new Date().getTime(),
+    AnswerID: answerId,
     userId: userId,
     week: userRow.get('currentWeek'),
     theme: userRow.get('currentTheme'),
@@ -1016,6 +2361,8 @@ async function saveUserAnswer(userRow, answer) {
     questionId: question ? question.questionId : 'N/A',
     question: question ? question.question : 'N/A',
     answer: answer,
+    answerType: answerType,
+    mediaRefs: mediaRefs.length > 0 ? JSON.stringify(mediaRefs) : '',
     skipped: false,
     timestamp: new Date()
   });
@@ -1023,56 +2370,172 @@ async function saveUserAnswer(userRow, answer) {
   // Update userRow in memory only. Save is deferred to updateUserStatus.
   userRow.set('noResponseWeek', 0);
   userRow.set('lastQuestionId', '');
+  userRow.set('lastAnswerId', answerId);
+  userRow.set('lastAnsweredAt', new Date());
 
   console.log(`User ${userId} answer saved. User row updated in memory (not saved yet).`);
+
+  // 回傳這次回答達成的里程碑，由呼叫端在回覆之後發送；發過的里程碑記在 milestones 欄位，同樣等 updateUserStatus 存檔
+  const { earned, awarded } = findNewMilestones(await getUserStats(userRow), parseList(userRow.get('milestones')));
+  userRow.set('milestones', awarded.join(','));
+  return earned;
+}
+
+async function getUserStats(userRow, now = new Date()) {
+  const timeZone = getUserTimezone(userRow);
+  const answerSheet = await storage.getTable('Answers');
+  const answers = await answerSheet.findBy('user', userRow.get('userId'));
+  return computeStats(answers.map(row => ({
+    date: getDateString(new Date(row.get('timestamp')), timeZone),
+    week: row.get('week'),
+    theme: row.get('theme'),
+    skipped: row.get('skipped') === true || row.get('skipped') === 'TRUE',
+  })), { today: getDateString(now, timeZone), questionDays: DAILY_QUESTION_DAYS });
+}
+
+// 使用者全部的回答、每月回顧與長期回顧（年度、自訂期間）
+// 存在 blobStore 的檔案換成簽章下載連結，外部網址原樣保留，貼圖沒有檔案可以下載
+function withMediaUrls(userId, answer) {
+  const refs = answer.mediaRefs ? JSON.parse(answer.mediaRefs) : [];
+  const expires = Date.now() + MEDIA_LINK_TTL_MS;
+  const mediaUrls = refs.map(ref => {
+    if (/^https?:\/\//.test(ref)) return ref;
+    if (blobStore && PUBLIC_BASE_URL && blobStore.owns(ref)) {
+      return exportSigner.buildMediaUrl(PUBLIC_BASE_URL, userId, ref, expires);
+    }
+    return null;
+  }).filter(Boolean);
+  return { ...answer, mediaUrls };
+}
+
+async function buildUserJournal(userId) {
+  const answerSheet = await storage.getTable('Answers');
+  const answers = await answerSheet.findBy('user', userId);
+
+  const insightSheet = await storage.getTable('MonthlyInsights');
+  const insights = insightSheet
+    ? (await insightSheet.getRows()).filter(row => row.get('UserID') === userId)
+    : [];
+
+  const reflectionSheet = await storage.getTable('Reflections');
+  const reflections = reflectionSheet
+    ? (await reflectionSheet.getRows()).filter(row => row.get('UserID') === userId)
+    : [];
+
+  return buildJournal(
+    userId,
+    answers.map(row => withMediaUrls(userId, row.toObject())),
+    insights.map(row => row.toObject()),
+    reflections.map(row => row.toObject())
+  );
+}
+
+async function getLastAnswerRow(userRow) {
+  const lastAnswerId = userRow.get('lastAnswerId');
+  if (!lastAnswerId) return null;
+  const answerSheet = await storage.getTable('Answers');
+  const [answerRow] = await answerSheet.findBy('id', lastAnswerId);
+  return answerRow || null;
+}
+
+// 最近一次的回答還在可修改的時間內（而且是使用者當地的今天）才回傳
+async function getEditableAnswerRow(userRow, now = new Date()) {
+  const lastAnsweredAt = userRow.get('lastAnsweredAt');
+  if (!lastAnsweredAt) return null;
+
+  const answeredAt = new Date(lastAnsweredAt);
+  const timeZone = getUserTimezone(userRow);
+  if (now - answeredAt > ANSWER_EDIT_WINDOW_MS) return null;
+  if (getDateString(answeredAt, timeZone) !== getDateString(now, timeZone)) return null;
+
+  return getLastAnswerRow(userRow);
+}
+
+function getMediaRefs(answerRow) {
+  try {
+    return answerRow.get('mediaRefs') ? JSON.parse(answerRow.get('mediaRefs')) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// mode: 'append' 接在原本的回答後面；'edit' 整段取代（包含照片、語音）
+// 每次變更前的內容都記在 editHistory（JSON 陣列）
+async function reviseAnswer(answerRow, content, mode) {
+  const previous = answerRow.get('answer') || '';
+  const previousType = answerRow.get('answerType') || 'text';
+  const previousRefs = getMediaRefs(answerRow);
+  const { text, answerType, mediaRefs } = content;
+  let history = [];
+  try {
+    history = answerRow.get('editHistory') ? JSON.parse(answerRow.get('editHistory')) : [];
+  } catch (error) {
+    console.warn(`[reviseAnswer] Invalid editHistory on answer ${answerRow.get('AnswerID')}, starting over`);
+  }
+
+  const now = new Date();
+  history.push({ mode, previous, previousType, previousRefs, at: now.toISOString() });
+  if (mode === 'append') {
+    answerRow.set('answer', previous ? `${previous}\n${text}` : text);
+    answerRow.set('answerType', previousType === answerType ? answerType : 'mixed');
+    answerRow.set('mediaRefs', JSON.stringify([...previousRefs, ...mediaRefs]));
+  } else {
+    answerRow.set('answer', text);
+    answerRow.set('answerType', answerType);
+    answerRow.set('mediaRefs', JSON.stringify(mediaRefs));
+  }
+  answerRow.set('editHistory', JSON.stringify(history));
+  answerRow.set('updatedAt', now);
+  await answerRow.save();
+  console.log(`[reviseAnswer] Answer ${answerRow.get('AnswerID')} updated (${mode}), ${history.length} revisions`);
 }
 
 // --- 6. 定時任務完整邏輯 ---
 
-async function sendMondayThemeSelection() {
-  const userSheet = doc.sheetsByTitle['Users'];
+// force：忽略執行紀錄，本週已送達的使用者也重新發送
+async function sendMondayThemeSelection({ force = false } = {}) {
+  const userSheet = await storage.getTable('Users');
   const rows = await userSheet.getRows();
-  const mondayMsg = await getMessage('MONDAY_WEEK1');
-  if (!mondayMsg) { console.error("Message 'MONDAY_WEEK1' not found."); return; }
 
   let totalUsers = rows.length;
   let sentCount = 0;
   let skippedCount = 0;
+  let pausedCount = 0;
+  let alreadyServedCount = 0;
   let errorCount = 0;
   let results = [];
+  // 同一個語系收到的內容都一樣，先收集收件者，再依語系分組用 multicast 送出
+  const recipients = [];
+  // 參加課程的使用者不用選主題，直接進入課程的下一週
+  const programRecipients = [];
 
   for (const row of rows) {
     const userId = row.get('userId');
     const currentStatus = row.get('status');
     const currentWeek = row.get('currentWeek');
-    const thisWeek = getCurrentWeekString();
+    const thisWeek = getCurrentWeekString(getUserTimezone(row));
 
-    // 發送條件：waiting_monday, saturday_showed_record, 或 active 且週次不同
-    const shouldSend = currentStatus === 'waiting_monday'
-      || currentStatus === 'saturday_showed_record'
-      || (currentStatus === 'active' && currentWeek !== thisWeek);
+    if (isUserPaused(row)) {
+      pausedCount++;
+      results.push(`User ${userId}: Paused until ${row.get('pausedUntil')}`);
+      continue;
+    }
 
-    if (shouldSend) {
-      try {
-        const message = createMessageObject(mondayMsg.message, mondayMsg.buttons);
-        await safeSendMessage(
-          (msg) => client.pushMessage(userId, msg),
-          message,
-          `sendMondayThemeSelection: user ${userId}`
-        );
+    if (!force && await runLedger.hasServed(JOBS.MONDAY_THEME, thisWeek, userId)) {
+      alreadyServedCount++;
+      results.push(`User ${userId}: Already served for ${thisWeek}`);
+      continue;
+    }
 
-        row.set('status', 'waiting_theme');
-        row.set('lastActive', new Date());
-        await row.save();
+    // 發送條件：waiting_monday, saturday_showed_record, 或 active（含修改回答中）且週次不同
+    const shouldSend = currentStatus === STATES.WAITING_MONDAY
+      || currentStatus === STATES.SATURDAY_SHOWED_RECORD
+      || ((currentStatus === STATES.ACTIVE || currentStatus === STATES.EDITING_ANSWER) && currentWeek !== thisWeek);
 
-        sentCount++;
-        console.log(`✓ Sent Monday theme selection to user ${userId} (was: ${currentStatus})`);
-        results.push(`User ${userId}: Sent (was: ${currentStatus})`);
-      } catch (error) {
-        errorCount++;
-        console.error(`✗ Failed to send Monday theme to user ${userId}:`, error.message);
-        results.push(`User ${userId}: ERROR - ${error.message}`);
-      }
+    if (shouldSend && row.get('programId')) {
+      programRecipients.push({ row, userId, currentStatus, thisWeek });
+    } else if (shouldSend) {
+      recipients.push({ row, userId, currentStatus, thisWeek });
     } else {
       skippedCount++;
       console.log(`✗ Skipped user ${userId} - status: ${currentStatus}, week: ${currentWeek} vs ${thisWeek}`);
@@ -1080,10 +2543,75 @@ async function sendMondayThemeSelection() {
     }
   }
 
+  for (const recipient of programRecipients) {
+    const { row, userId, currentStatus, thisWeek } = recipient;
+    try {
+      const result = await advanceProgram(row, thisWeek);
+      if (result.completed) {
+        // 課程結束，和其他人一樣收到主題選擇
+        recipients.push(recipient);
+        continue;
+      }
+      sentCount++;
+      await runLedger.record(JOBS.MONDAY_THEME, thisWeek, userId, OUTCOMES.SENT, `program: ${result.programId} week ${result.week}`);
+      console.log(`✓ Started program ${result.programId} week ${result.week} for user ${userId} (was: ${currentStatus})`);
+      results.push(`User ${userId}: Program ${result.programId} week ${result.week}`);
+    } catch (error) {
+      errorCount++;
+      await runLedger.record(JOBS.MONDAY_THEME, thisWeek, userId, OUTCOMES.ERROR, error.message);
+      console.error(`✗ Failed to advance program for user ${userId}:`, error.message);
+      results.push(`User ${userId}: ERROR - ${error.message}`);
+    }
+  }
+
+  const localeGroups = new Map();
+  for (const recipient of recipients) {
+    const locale = await getUserLocale(recipient.row);
+    if (!localeGroups.has(locale)) localeGroups.set(locale, []);
+    localeGroups.get(locale).push(recipient);
+  }
+
+  for (const [locale, group] of localeGroups) {
+    const mondayMsg = await getMessage('MONDAY_WEEK1', locale);
+    const message = createMessageObject(mondayMsg.message, mondayMsg.buttons, mondayMsg.quickReplies);
+    validateMessage(message);
+    const delivered = await delivery.multicast(
+      group.map(r => r.userId),
+      message,
+      { context: `sendMondayThemeSelection: ${locale}` }
+    );
+    const failedErrors = new Map(delivered.failed.map(({ userId, error }) => [userId, error]));
+
+    for (const { row, userId, currentStatus, thisWeek } of group) {
+      const error = failedErrors.get(userId);
+      if (error) {
+        errorCount++;
+        await runLedger.record(JOBS.MONDAY_THEME, thisWeek, userId, OUTCOMES.ERROR, error.message);
+        console.error(`✗ Failed to send Monday theme to user ${userId}:`, error.message);
+        results.push(`User ${userId}: ERROR - ${error.message}`);
+        continue;
+      }
+
+      sentCount++;
+      await runLedger.record(JOBS.MONDAY_THEME, thisWeek, userId, OUTCOMES.SENT, `was: ${currentStatus}`);
+      console.log(`✓ Sent Monday theme selection to user ${userId} (was: ${currentStatus})`);
+      results.push(`User ${userId}: Sent (was: ${currentStatus})`);
+
+      try {
+        await updateUserStatus(row, EVENTS.MONDAY_PROMPT_SENT);
+      } catch (saveError) {
+        // 訊息已經送達，狀態存檔失敗只記錄下來
+        console.error(`✗ Sent Monday theme to user ${userId} but failed to update status:`, saveError.message);
+      }
+    }
+  }
+
   const summary = {
     totalUsers,
     sentCount,
     skippedCount,
+    pausedCount,
+    alreadyServedCount,
     errorCount,
     results
   };
@@ -1092,6 +2620,7 @@ async function sendMondayThemeSelection() {
   console.log(`Total users: ${totalUsers}`);
   console.log(`Messages sent: ${sentCount}`);
   console.log(`Users skipped: ${skippedCount}`);
+  console.log(`Already served: ${alreadyServedCount}`);
   console.log(`Errors: ${errorCount}`);
   if (results.length > 0) {
     console.log('Details:', results);
@@ -1101,41 +2630,48 @@ async function sendMondayThemeSelection() {
   return summary;
 }
 
-async function sendDailyQuestionForUser(userId) {
-  const userSheet = doc.sheetsByTitle['Users'];
-  const rows = await userSheet.getRows();
-  const row = rows.find(r => r.get('userId') === userId);
+// 可以傳入 userId 或已經讀出的 Users 資料列（批次發送時避免每位使用者都重讀整張 Users）
+async function sendDailyQuestionForUser(userOrId) {
+  let row;
+  if (typeof userOrId === 'string') {
+    const userSheet = await storage.getTable('Users');
+    const rows = await userSheet.getRows();
+    row = rows.find(r => r.get('userId') === userOrId);
+  } else {
+    row = userOrId;
+  }
 
   if (!row) {
     return { sent: false, reason: 'User not found' };
   }
 
-  const now = new Date();
+  const userId = row.get('userId');
+  const locale = await getUserLocale(row);
+
+  const timeZone = getUserTimezone(row);
   // 如果是週一，我們也允許發送（雖然通常週一是選主題，但如果是測試或補發，應該要能發送）
-  // 這裡使用 getCurrentDayString()，它會根據今天是星期幾回傳對應的字串
-  const dayString = getCurrentDayString();
+  // 這裡使用 getCurrentDayString()，它會根據使用者時區的今天是星期幾回傳對應的字串
+  const dayString = getCurrentDayString(timeZone);
   const status = row.get('status');
   const theme = row.get('currentTheme');
 
   // 檢查：如果今天已經回答過了，不要再發送
-  const todayAnswered = await checkTodayAnswer(userId);
+  const todayAnswered = await checkTodayAnswer(userId, timeZone);
   if (todayAnswered) {
     return { sent: false, reason: 'Already answered today' };
   }
 
-  // 檢查狀態和主題
-  // 注意：為了測試方便，我們放寬狀態檢查，只要有主題就發送
-  // if (status !== 'active' && status !== 'waiting_answer') {
-  //   return { sent: false, reason: `Status is '${status}' (not 'active' or 'waiting_answer')` };
-  // }
+  // 檢查狀態：由狀態機決定哪些狀態可以收到問題（還在等週一、剛加入的使用者不發送）
+  if (!canTransition(status, EVENTS.QUESTION_SENT)) {
+    return { sent: false, reason: `Status '${normalizeStatus(status)}' does not accept ${EVENTS.QUESTION_SENT}` };
+  }
 
   // 檢查：如果狀態是 waiting_answer，檢查是否是今天發送的
-  if (status === 'waiting_answer') {
+  if (status === STATES.WAITING_ANSWER) {
     const lastActive = row.get('lastActive');
     if (lastActive) {
       const lastActiveDate = new Date(lastActive);
-      const today = new Date();
-      const isSameDay = lastActiveDate.toISOString().split('T')[0] === today.toISOString().split('T')[0];
+      const isSameDay = getDateString(lastActiveDate, timeZone) === getDateString(new Date(), timeZone);
 
       if (isSameDay) {
         // 今天已經發送過問題了，跳過
@@ -1152,75 +2688,102 @@ async function sendDailyQuestionForUser(userId) {
     return { sent: false, reason: 'No theme set' };
   }
 
-  let question = await getQuestion(theme, dayString);
-
-  // 如果今天是週一（MON），可能沒有設定週一的問題（因為週一通常是選主題）
-  // 這種情況下，我們隨機抓一題該主題的問題來發送，避免測試失敗
-  if (!question && dayString === 'MON') {
-    console.log(`No question for MON, picking a random question for theme ${theme}`);
-    // 這裡我們簡單地嘗試抓取 TUE 的問題作為替代，或者您可以實作一個 getRandomQuestionByTheme(theme)
-    question = await getQuestion(theme, 'TUE');
-  }
-
+  // 當天沒有題目時（例如週一）會改從同主題的其他題目挑選
+  const programWeek = await getCurrentProgramWeek(row);
+  const question = await getQuestion(userId, theme, dayString, {
+    questionSet: programWeek ? programWeek.questionSet : '',
+    locale,
+  });
   if (!question) {
-    return { sent: false, reason: `No question found for theme=${theme}, day=${dayString}` };
+    return { sent: false, reason: `No question found for theme=${theme}` };
   }
 
   // 發送問題
   let messageText = '';
-  const themeChinese = THEME_MAP[theme] || theme;
+  let introText = '';
+  const themeChinese = await getThemeName(theme, locale);
 
-  const today = new Date().getDay();
-  if (today !== 1) { // 週一不檢查昨天
-    const yesterdayAnswered = await checkYesterdayAnswer(userId);
+  if (dayString !== 'MON') { // 週一不檢查昨天
+    const yesterdayAnswered = await checkYesterdayAnswer(userId, timeZone);
     if (!yesterdayAnswered) {
-      const skipMsg = await getMessage('SKIP_YESTERDAY');
-      if (skipMsg) messageText += skipMsg.message + '\n\n';
+      const skipMsg = await getMessage('SKIP_YESTERDAY', locale);
+      if (skipMsg) {
+        introText = skipMsg.message;
+        messageText += skipMsg.message + '\n\n';
+      }
     }
   }
 
-  const dailyMsg = await getMessage('DAILY_QUESTION');
-  if (dailyMsg) {
-    messageText += dailyMsg.message.replace('【主題】', themeChinese).replace('【從問題庫隨機抽取】', question.question);
-  } else {
-    messageText += `關於 ${themeChinese}：\n\n${question.question}`;
-  }
+  messageText += await getText('DAILY_QUESTION', locale, { 主題: themeChinese, 從問題庫隨機抽取: question.question });
 
   try {
-    await client.pushMessage(userId, { type: 'text', text: messageText });
+    const textMessage = { type: 'text', text: messageText };
+    const message = FLEX_MESSAGES_ENABLED
+      ? renderQuestionCard(
+        { theme: themeChinese, intro: introText, question: question.question },
+        { template: await loadFlexTemplate('question', locale), altText: messageText, emptyAltText: await getText('NEW_MESSAGE_ALT_TEXT', locale) }
+      )
+      : textMessage;
+    validateMessage(message);
+    await delivery.push(userId, message, { context: `sendDailyQuestionForUser: user ${userId}`, fallback: textMessage });
 
-    const oldStatus = row.get('status');
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] sendDailyQuestionForUser: Status change for user ${userId}: ${oldStatus} -> waiting_answer`);
-
-    row.set('status', 'waiting_answer');
     row.set('lastQuestionId', question.questionId);
-    row.set('lastActive', new Date());
-    await row.save();
+    await updateUserStatus(row, EVENTS.QUESTION_SENT, { context: question.questionId });
 
-    return { sent: true, reason: 'Success' };
+    return { sent: true, reason: 'Success', questionId: question.questionId };
   } catch (error) {
     console.error(`Error sending daily question to user ${userId}:`, error);
-    return { sent: false, reason: `Failed to send message: ${error.message}` };
+    return { sent: false, error: true, reason: `Failed to send message: ${error.message}` };
   }
 }
 
-async function sendDailyQuestion() {
-  const userSheet = doc.sheetsByTitle['Users'];
+// ignoreSlots：忽略使用者選擇的時段，全部發送（手動補發用）
+// force：忽略執行紀錄，今天已送達的使用者也重新發送
+async function sendDailyQuestion({ ignoreSlots = false, force = false } = {}) {
+  const userSheet = await storage.getTable('Users');
   const rows = await userSheet.getRows();
+  const now = new Date();
 
   let totalUsers = rows.length;
   let sentCount = 0;
   let skippedCount = 0;
+  let notDueCount = 0;
+  let pausedCount = 0;
+  let alreadyServedCount = 0;
+  let errorCount = 0;
   let skippedReasons = [];
 
   for (const row of rows) {
     const userId = row.get('userId');
-    const result = await sendDailyQuestionForUser(userId);
+
+    // 時段還沒到的使用者不算「跳過」，避免每小時的紀錄被洗版
+    if (!ignoreSlots && !isDailyQuestionDue(row, now)) {
+      notDueCount++;
+      continue;
+    }
+
+    if (isUserPaused(row, now)) {
+      pausedCount++;
+      continue;
+    }
+
+    const today = getDateString(now, getUserTimezone(row));
+    if (!force && await runLedger.hasServed(JOBS.DAILY_QUESTION, today, userId)) {
+      alreadyServedCount++;
+      continue;
+    }
+
+    const result = await sendDailyQuestionForUser(row);
 
     if (result.sent) {
       sentCount++;
+      await runLedger.record(JOBS.DAILY_QUESTION, today, userId, OUTCOMES.SENT, result.questionId);
       console.log(`✓ Sent question to user ${userId}`);
+    } else if (result.error) {
+      errorCount++;
+      await runLedger.record(JOBS.DAILY_QUESTION, today, userId, OUTCOMES.ERROR, result.reason);
+      skippedReasons.push(`User ${userId}: ${result.reason}`);
+      console.log(`✗ Failed to send question to user ${userId} - ${result.reason}`);
     } else {
       skippedCount++;
       const reason = `User ${userId}: ${result.reason}`;
@@ -1233,6 +2796,10 @@ async function sendDailyQuestion() {
     totalUsers,
     sentCount,
     skippedCount,
+    notDueCount,
+    pausedCount,
+    alreadyServedCount,
+    errorCount,
     skippedReasons
   };
 
@@ -1240,6 +2807,10 @@ async function sendDailyQuestion() {
   console.log(`Total users: ${totalUsers}`);
   console.log(`Messages sent: ${sentCount}`);
   console.log(`Users skipped: ${skippedCount}`);
+  console.log(`Users not due yet: ${notDueCount}`);
+  console.log(`Users paused: ${pausedCount}`);
+  console.log(`Already served: ${alreadyServedCount}`);
+  console.log(`Errors: ${errorCount}`);
   if (skippedReasons.length > 0) {
     console.log('Skip reasons:', skippedReasons);
   }
@@ -1248,10 +2819,20 @@ async function sendDailyQuestion() {
   return summary;
 }
 
-async function sendSaturdayReview() {
-  const userSheet = doc.sheetsByTitle['Users'];
+// force：忽略執行紀錄，本週已送達的使用者也重新發送
+async function sendSaturdayReview({ force = false } = {}) {
+  const userSheet = await storage.getTable('Users');
   const rows = await userSheet.getRows();
 
+  let sentCount = 0;
+  let skippedCount = 0;
+  let pausedCount = 0;
+  let alreadyServedCount = 0;
+  let errorCount = 0;
+  // 內容相同（同一則訊息、同一個主題、同一個語系）的使用者分成一組，每組用 multicast 送出
+  // Messages 裡沒有設定訊息時 message 為 null，只更新 noResponseWeek
+  const groups = new Map();
+
   for (const row of rows) {
     const status = row.get('status');
     const theme = row.get('currentTheme');
@@ -1259,37 +2840,95 @@ async function sendSaturdayReview() {
     const currentWeek = row.get('currentWeek');
     let noResponseWeek = Number(row.get('noResponseWeek')) || 0;
 
-    if ((status === 'active' || status === 'waiting_answer') && theme) {
+    // 暫停中的使用者不送回顧，也不累加 noResponseWeek
+    if (isUserPaused(row)) {
+      pausedCount++;
+      continue;
+    }
+
+    if ((status === STATES.ACTIVE || status === STATES.WAITING_ANSWER || status === STATES.EDITING_ANSWER) && theme) {
+      if (!force && await runLedger.hasServed(JOBS.SATURDAY_REVIEW, currentWeek, userId)) {
+        // 已經送過，也不要再累加 noResponseWeek
+        alreadyServedCount++;
+        continue;
+      }
+
       try {
         const responseDays = await countWeeklyResponses(userId, currentWeek);
         const messageId = responseDays === 0 ? 'SATURDAY_NO_RESPONSE' : 'SATURDAY_START';
-        const saturdayMsg = await getMessage(messageId);
+        const locale = await getUserLocale(row);
+        const saturdayMsg = await getMessage(messageId, locale);
 
+        let message = null;
         if (saturdayMsg) {
-          const themeChinese = THEME_MAP[theme] || theme;
+          const themeChinese = await getThemeName(theme, locale);
           let messageText = saturdayMsg.message.replace('【主題】', themeChinese);
-          const message = createMessageObject(messageText, responseDays > 0 ? saturdayMsg.buttons : null);
-          await safeSendMessage(
-            (msg) => client.pushMessage(userId, msg),
-            message,
-            `sendSaturdayReview: user ${userId}`
-          );
+          message = createMessageObject(messageText, responseDays > 0 ? saturdayMsg.buttons : null, saturdayMsg.quickReplies);
+          validateMessage(message);
         }
 
-        row.set('noResponseWeek', responseDays === 0 ? noResponseWeek + 1 : 0);
-        await row.save();
+        const groupKey = message ? JSON.stringify(message) : messageId;
+        if (!groups.has(groupKey)) {
+          groups.set(groupKey, { message, messageId, recipients: [] });
+        }
+        groups.get(groupKey).recipients.push({
+          row,
+          userId,
+          currentWeek,
+          nextNoResponseWeek: responseDays === 0 ? noResponseWeek + 1 : 0,
+        });
       } catch (error) {
-        console.error(`Error sending Saturday review to user ${userId}:`, error);
+        errorCount++;
+        await runLedger.record(JOBS.SATURDAY_REVIEW, currentWeek, userId, OUTCOMES.ERROR, error.message);
+        console.error(`Error preparing Saturday review for user ${userId}:`, error);
         // 繼續處理下一個用戶，不要因為一個用戶失敗而停止整個流程
       }
+    } else {
+      skippedCount++;
+    }
+  }
+
+  for (const { message, messageId, recipients } of groups.values()) {
+    let failedErrors = new Map();
+    if (message) {
+      const delivered = await delivery.multicast(
+        recipients.map(r => r.userId),
+        message,
+        { context: `sendSaturdayReview: ${messageId}` }
+      );
+      failedErrors = new Map(delivered.failed.map(({ userId, error }) => [userId, error]));
+    }
+
+    for (const { row, userId, currentWeek, nextNoResponseWeek } of recipients) {
+      const error = failedErrors.get(userId);
+      if (error) {
+        errorCount++;
+        await runLedger.record(JOBS.SATURDAY_REVIEW, currentWeek, userId, OUTCOMES.ERROR, error.message);
+        console.error(`Error sending Saturday review to user ${userId}:`, error.message);
+        continue;
+      }
+
+      sentCount++;
+      await runLedger.record(JOBS.SATURDAY_REVIEW, currentWeek, userId, OUTCOMES.SENT, messageId);
+      try {
+        row.set('noResponseWeek', nextNoResponseWeek);
+        await row.save();
+      } catch (saveError) {
+        console.error(`Sent Saturday review to user ${userId} but failed to update noResponseWeek:`, saveError.message);
+      }
     }
   }
+
+  console.log(`Saturday review summary: ${sentCount} sent, ${skippedCount} skipped, ${pausedCount} paused, ${alreadyServedCount} already served, ${errorCount} errors`);
+  return { sentCount, skippedCount, pausedCount, alreadyServedCount, errorCount };
 }
 
-async function sendMonthlyReview(targetDate = new Date()) {
+// onlyLastDayOfMonth：只處理「在自己時區中今天是月底」的使用者（每日 CRON 用）
+// force：忽略執行紀錄，這個月已送達的使用者也重新產生並發送
+async function sendMonthlyReview(targetDate = new Date(), { onlyLastDayOfMonth = false, force = false } = {}) {
   try {
-    const userSheet = doc.sheetsByTitle['Users'];
-    const insightsSheet = doc.sheetsByTitle['MonthlyInsights'];
+    const userSheet = await storage.getTable('Users');
+    const insightsSheet = await storage.getTable('MonthlyInsights');
 
     if (!insightsSheet) {
       console.error('MonthlyInsights sheet not found in spreadsheet');
@@ -1304,32 +2943,83 @@ async function sendMonthlyReview(targetDate = new Date()) {
     let sentCount = 0;
     let skippedCount = 0;
     let errorCount = 0;
+    let notMonthEndCount = 0;
+    let pausedCount = 0;
+    let alreadyServedCount = 0;
 
     for (const userRow of allUsers) {
       const userId = userRow.get('userId');
+      const timeZone = getUserTimezone(userRow);
+
+      if (onlyLastDayOfMonth && !isLastDayOfMonth(targetDate, timeZone)) {
+        notMonthEndCount++;
+        continue;
+      }
+
+      // 封鎖的使用者收不到；暫停中的使用者這個月不產生回顧
+      if (normalizeStatus(userRow.get('status')) === STATES.INACTIVE) {
+        skippedCount++;
+        continue;
+      }
+      if (isUserPaused(userRow, targetDate)) {
+        pausedCount++;
+        continue;
+      }
+      if (isAiOptedOut(userRow)) {
+        skippedCount++;
+        console.log(`Skipping monthly insight for user ${userId}, AI processing disabled by user.`);
+        continue;
+      }
+
+      // 在呼叫 OpenAI 之前就檢查，重複觸發時不會重複產生（也不會重複計費）
+      const monthString = getMonthString(targetDate, timeZone);
+      if (!force && await runLedger.hasServed(JOBS.MONTHLY_REVIEW, monthString, userId)) {
+        alreadyServedCount++;
+        continue;
+      }
 
       try {
-        const hasEnoughData = await hasEnoughMonthlyData(userId, targetDate);
+        const hasEnoughData = await hasEnoughMonthlyData(userId, targetDate, timeZone);
 
         if (hasEnoughData) {
           console.log(`Generating monthly insight for user ${userId}`);
-          const insightText = await generateMonthlyAiInsight(userId, targetDate);
+          const locale = await getUserLocale(userRow);
+          const { text: insightText, usage, failed } = await generateMonthlyAiInsight(userId, targetDate, timeZone, locale);
+
+          // AI 呼叫失敗時不推播錯誤訊息、不存進 MonthlyInsights，記為 error 讓下次執行重試
+          if (failed) {
+            errorCount++;
+            await runLedger.record(JOBS.MONTHLY_REVIEW, monthString, userId, OUTCOMES.ERROR, 'LLM call failed');
+            console.error(`✗ Monthly insight for user ${userId} failed, will retry on the next run`);
+            continue;
+          }
 
           // 發送給使用者
-          await client.pushMessage(userId, { type: 'text', text: insightText });
+          const textMessage = { type: 'text', text: insightText };
+          const message = FLEX_MESSAGES_ENABLED
+            ? renderInsightCard(
+              { title: await getText('MONTHLY_INSIGHT_TITLE', locale), period: monthString, insight: insightText },
+              { template: await loadFlexTemplate('insight', locale), altText: insightText, emptyAltText: await getText('NEW_MESSAGE_ALT_TEXT', locale) }
+            )
+            : textMessage;
+          await delivery.push(userId, message, { context: `sendMonthlyReview: user ${userId}`, fallback: textMessage });
 
           // 保存到 MonthlyInsights Sheet
           const now = new Date();
-          const monthString = `${targetDate.getFullYear()}-${String(targetDate.getMonth() + 1).padStart(2, '0')}`;
           await insightsSheet.addRow({
             InsightID: 'I' + now.getTime(),
             UserID: userId,
             Month: monthString,
             AIInsight: insightText,
+            PromptTokens: usage.promptTokens,
+            CompletionTokens: usage.completionTokens,
+            LlmCalls: usage.calls,
+            PromptStrategy: usage.strategy,
             CreatedAt: now
           });
 
           sentCount++;
+          await runLedger.record(JOBS.MONTHLY_REVIEW, monthString, userId, OUTCOMES.SENT);
           console.log(`✓ Saved monthly insight for user ${userId} to MonthlyInsights sheet (Month: ${monthString})`);
         } else {
           skippedCount++;
@@ -1337,13 +3027,14 @@ async function sendMonthlyReview(targetDate = new Date()) {
         }
       } catch (error) {
         errorCount++;
+        await runLedger.record(JOBS.MONTHLY_REVIEW, monthString, userId, OUTCOMES.ERROR, error.message);
         console.error(`Error processing user ${userId}:`, error.message);
         console.error('Error stack:', error.stack);
       }
     }
 
-    console.log(`Monthly review summary: ${sentCount} sent, ${skippedCount} skipped, ${errorCount} errors`);
-    return { sentCount, skippedCount, errorCount };
+    console.log(`Monthly review summary: ${sentCount} sent, ${skippedCount} skipped, ${pausedCount} paused, ${errorCount} errors, ${notMonthEndCount} not at month end, ${alreadyServedCount} already served`);
+    return { sentCount, skippedCount, pausedCount, errorCount, notMonthEndCount, alreadyServedCount };
   } catch (error) {
     console.error('Critical error in sendMonthlyReview:', error);
     console.error('Error stack:', error.stack);
@@ -1352,63 +3043,109 @@ async function sendMonthlyReview(targetDate = new Date()) {
   }
 }
 
+// onlyLastDayOfYear：只處理「在自己時區中今天是 12/31」的使用者（每日 CRON 用）
+// force：忽略執行紀錄，今年已送達的使用者也重新產生並發送
+async function sendYearlyReview(targetDate = new Date(), { onlyLastDayOfYear = false, force = false } = {}) {
+  const userSheet = await storage.getTable('Users');
+  const rows = await userSheet.getRows();
+
+  let sentCount = 0;
+  let skippedCount = 0;
+  let pausedCount = 0;
+  let notYearEndCount = 0;
+  let alreadyServedCount = 0;
+  let errorCount = 0;
+
+  for (const userRow of rows) {
+    const userId = userRow.get('userId');
+    const timeZone = getUserTimezone(userRow);
+
+    if (onlyLastDayOfYear && !isLastDayOfYear(targetDate, timeZone)) {
+      notYearEndCount++;
+      continue;
+    }
+    if (normalizeStatus(userRow.get('status')) === STATES.INACTIVE || isAiOptedOut(userRow)) {
+      skippedCount++;
+      continue;
+    }
+    if (isUserPaused(userRow, targetDate)) {
+      pausedCount++;
+      continue;
+    }
+
+    const year = getDateString(targetDate, timeZone).substring(0, 4);
+    if (!force && await runLedger.hasServed(JOBS.YEARLY_REVIEW, year, userId)) {
+      alreadyServedCount++;
+      continue;
+    }
+
+    try {
+      const reflection = await generateYearlyReflection(userId, year, timeZone, await getUserLocale(userRow));
+      if (!reflection) {
+        skippedCount++;
+        console.log(`Skipping yearly review for user ${userId}, no records in ${year}.`);
+        continue;
+      }
+
+      await delivery.push(userId, { type: 'text', text: reflection.text }, { context: `sendYearlyReview: user ${userId}` });
+      await saveReflection(userId, { kind: 'yearly', start: `${year}-01-01`, end: `${year}-12-31`, theme: '', ...reflection });
+
+      sentCount++;
+      await runLedger.record(JOBS.YEARLY_REVIEW, year, userId, OUTCOMES.SENT);
+    } catch (error) {
+      errorCount++;
+      await runLedger.record(JOBS.YEARLY_REVIEW, year, userId, OUTCOMES.ERROR, error.message);
+      console.error(`Error sending yearly review to user ${userId}:`, error.message);
+    }
+  }
+
+  console.log(`Yearly review summary: ${sentCount} sent, ${skippedCount} skipped, ${pausedCount} paused, ${errorCount} errors, ${notYearEndCount} not at year end, ${alreadyServedCount} already served`);
+  return { sentCount, skippedCount, pausedCount, errorCount, notYearEndCount, alreadyServedCount };
+}
+
 // --- 7. 輔助工具函式 ---
 
-async function checkYesterdayAnswer(userId) {
-  const answerSheet = doc.sheetsByTitle['Answers'];
-  const rows = await answerSheet.getRows();
+async function checkYesterdayAnswer(userId, timeZone = DEFAULT_TIMEZONE) {
+  const answerSheet = await storage.getTable('Answers');
+  const rows = await answerSheet.findBy('user', userId);
 
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  const yesterdayString = yesterday.toISOString().split('T')[0];
+  const yesterdayString = addDays(getDateString(new Date(), timeZone), -1);
 
   for (let i = rows.length - 1; i >= 0; i--) {
-    const row = rows[i];
-    if (row.get('userId') === userId) {
-      const answerDate = new Date(row.get('timestamp'));
-      const answerDateString = answerDate.toISOString().split('T')[0];
-      if (answerDateString === yesterdayString) {
-        return true;
-      }
-      if (answerDate < yesterday) {
-        return false;
-      }
+    const answerDateString = getDateString(new Date(rows[i].get('timestamp')), timeZone);
+    if (answerDateString === yesterdayString) {
+      return true;
+    }
+    if (answerDateString < yesterdayString) {
+      return false;
     }
   }
   return false;
 }
 
-async function checkTodayAnswer(userId) {
-  const answerSheet = doc.sheetsByTitle['Answers'];
-  const rows = await answerSheet.getRows();
+async function checkTodayAnswer(userId, timeZone = DEFAULT_TIMEZONE) {
+  const answerSheet = await storage.getTable('Answers');
+  const rows = await answerSheet.findBy('user', userId);
 
-  const today = new Date();
-  const todayString = today.toISOString().split('T')[0];
+  const todayString = getDateString(new Date(), timeZone);
 
   for (let i = rows.length - 1; i >= 0; i--) {
-    const row = rows[i];
-    if (row.get('userId') === userId) {
-      const answerDate = new Date(row.get('timestamp'));
-      const answerDateString = answerDate.toISOString().split('T')[0];
-      if (answerDateString === todayString) {
-        return true;
-      }
+    const answerDateString = getDateString(new Date(rows[i].get('timestamp')), timeZone);
+    if (answerDateString === todayString) {
+      return true;
     }
   }
   return false;
 }
 
-async function hasEnoughMonthlyData(userId, targetDate = new Date()) {
-  const answerSheet = doc.sheetsByTitle['Answers'];
-  const allAnswers = await answerSheet.getRows();
-  const currentMonth = targetDate.getMonth();
-  const currentYear = targetDate.getFullYear();
+async function hasEnoughMonthlyData(userId, targetDate = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const answerSheet = await storage.getTable('Answers');
+  const userAnswers = await answerSheet.findBy('user', userId);
+  const targetMonth = getMonthString(targetDate, timeZone);
 
-  const monthlyAnswers = allAnswers.filter(row => {
-    if (row.get('userId') !== userId) return false;
-    const answerDate = new Date(row.get('timestamp'));
-    return answerDate.getMonth() === currentMonth && answerDate.getFullYear() === currentYear;
-  });
+  const monthlyAnswers = userAnswers.filter(row =>
+    getMonthString(new Date(row.get('timestamp')), timeZone) === targetMonth
+  );
 
   if (monthlyAnswers.length === 0) return false;
   const uniqueWeeks = new Set(monthlyAnswers.map(row => row.get('week')));
@@ -1417,178 +3154,458 @@ async function hasEnoughMonthlyData(userId, targetDate = new Date()) {
 }
 
 async function getWeeklyAnswerRows(userId) {
-  const userSheet = doc.sheetsByTitle['Users'];
-  const answerSheet = doc.sheetsByTitle['Answers'];
+  const userSheet = await storage.getTable('Users');
+  const answerSheet = await storage.getTable('Answers');
   const users = await userSheet.getRows();
   const user = users.find(row => row.get('userId') === userId);
   if (!user) return [];
   const currentWeek = user.get('currentWeek');
-  const answers = await answerSheet.getRows();
-  return answers.filter(row => row.get('userId') === userId && row.get('week') === currentWeek);
+  return answerSheet.findBy('userWeek', `${userId}|${currentWeek}`);
+}
+
+// 回答的文字內容；舊資料或下載失敗的媒體回答沒有文字時，以類型標籤代替（mediaLabels 來自 getMediaLabels）
+function formatAnswerText(row, mediaLabels) {
+  const answer = row.get('answer');
+  if (answer) return answer;
+  return mediaLabels[row.get('answerType')] || '';
+}
+
+// { image, audio, sticker } -> 使用者語系的標籤文字
+async function getMediaLabels(locale) {
+  const labels = {};
+  for (const type of Object.keys(MEDIA_LABEL_IDS)) {
+    labels[type] = await getText(MEDIA_LABEL_IDS[type], locale);
+  }
+  return labels;
+}
+
+// 匯出 Markdown 用的標題與標籤（見 src/journalExport.js 的 MARKDOWN_LABEL_IDS）
+async function getMarkdownLabels(locale) {
+  const labels = {};
+  for (const key of Object.keys(MARKDOWN_LABEL_IDS)) {
+    labels[key] = await getText(MARKDOWN_LABEL_IDS[key], locale);
+  }
+  return labels;
 }
 
-async function getWeeklyRecords(userId) {
+// 回傳 { text, header, days }：text 是完整的純文字版本；沒有紀錄時 days 為空陣列
+async function getWeeklyRecords(userId, locale) {
   const weeklyAnswers = await getWeeklyAnswerRows(userId);
   if (weeklyAnswers.length === 0) {
-    const msg = await getMessage('NO_WEEKLY_RECORDS');
-    const fallbackMsg = await getMessage('GENERIC_ERROR');
-    return msg ? msg.message : (fallbackMsg ? fallbackMsg.message : "看來這週你沒有留下任何紀錄喔！");
+    return { text: await getText('NO_WEEKLY_RECORDS', locale), header: '', days: [] };
   }
 
   const responseDays = new Set(weeklyAnswers.map(row => row.get('day'))).size;
 
-  const dayMap = { 'MON': '週一', 'TUE': '週二', 'WED': '週三', 'THU': '週四', 'FRI': '週五' };
+  const dayMap = {};
+  for (const day of ['MON', 'TUE', 'WED', 'THU', 'FRI']) {
+    dayMap[day] = await getText(`DAY_${day}`, locale);
+  }
+  const entryTemplate = await getText('RECORD_ENTRY', locale);
+  const mediaLabels = await getMediaLabels(locale);
   let formattedRecords = '';
+  const days = [];
   weeklyAnswers.forEach(row => {
     const day = dayMap[row.get('day')] || row.get('day');
-    formattedRecords += `【${day}】\n`;
-    formattedRecords += `問：${row.get('question')}\n`;
-    formattedRecords += `答：${row.get('answer')}\n\n`;
+    formattedRecords += formatMessage(entryTemplate, { 星期: day, 問題: row.get('question'), 回答: formatAnswerText(row, mediaLabels) }) + '\n\n';
+
+    if (days.length === 0 || days[days.length - 1].day !== day) {
+      days.push({ day, entries: [] });
+    }
+    days[days.length - 1].entries.push({ question: row.get('question'), answer: formatAnswerText(row, mediaLabels) });
   });
-  const recordHeader = await getMessage('SATURDAY_SHOW_RECORD');
-  let headerText = '';
-  if (recordHeader) {
-    headerText = recordHeader.message.replace('X', responseDays) + '\n\n---\n\n';
-  } else {
-    const fallbackHeader = await getMessage('RECORDS_HEADER_FALLBACK');
-    headerText = fallbackHeader ? fallbackHeader.message + '\n\n' : '這週的紀錄：\n\n';
+  const recordHeader = await getMessage('SATURDAY_SHOW_RECORD', locale);
+  const headerText = recordHeader
+    ? recordHeader.message.replace('X', responseDays)
+    : await getText('RECORDS_HEADER_FALLBACK', locale);
+  const separator = recordHeader ? '\n\n---\n\n' : '\n\n';
+  return { text: headerText + separator + formattedRecords.trim(), header: headerText, days };
+}
+
+// 有紀錄時送出標題 + 一天一張的 carousel，LINE 拒絕 Flex 時改送純文字
+async function replyWeeklyRecords(replyToken, userId) {
+  const locale = await getUserLocale(userId);
+  const records = await getWeeklyRecords(userId, locale);
+  const textMessage = { type: 'text', text: records.text.substring(0, 5000) };
+  if (!FLEX_MESSAGES_ENABLED || records.days.length === 0) {
+    await client.replyMessage(replyToken, textMessage);
+    return;
   }
-  return headerText + formattedRecords.trim();
+
+  const carousel = renderRecordCarousel(records.days, {
+    template: await loadFlexTemplate('recordDay', locale),
+    altText: records.text,
+    emptyAltText: await getText('NEW_MESSAGE_ALT_TEXT', locale),
+  });
+  const messages = records.header ? [{ type: 'text', text: records.header }, carousel] : [carousel];
+  await replyWithFallback(replyToken, messages, textMessage, `replyWeeklyRecords: user ${userId}`);
 }
 
-async function generateAiInsight(userId) {
+// 本週的 AI 總結：回答內容（含補充、修改）和上次產生時相同就直接回傳 WeeklyInsights 裡的內容，
+// 否則在每週額度內重新產生並存檔
+async function getWeeklyInsight(userId, locale) {
   const weeklyAnswers = await getWeeklyAnswerRows(userId);
   if (weeklyAnswers.length === 0) {
-    const msg = await getMessage('NO_WEEKLY_RECORDS');
-    const fallbackMsg = await getMessage('GENERIC_ERROR');
-    return msg ? msg.message : "AI 沒有材料可以分析喔！";
+    return getText('NO_WEEKLY_RECORDS', locale);
+  }
+
+  const week = weeklyAnswers[0].get('week');
+  const insightSheet = await storage.ensureTable('WeeklyInsights');
+  const insights = await insightSheet.findBy('userWeek', `${userId}|${week}`);
+  const latest = insights[insights.length - 1];
+  const answerDigest = crypto.createHash('sha256')
+    .update(weeklyAnswers.map(row => `${row.get('AnswerID')}:${row.get('answer')}`).join('\n'))
+    .digest('hex')
+    .substring(0, 16);
+
+  if (latest && latest.get('AnswerDigest') === answerDigest) {
+    console.log(`[getWeeklyInsight] Returning cached insight ${latest.get('InsightID')} for user ${userId} (${week})`);
+    return latest.get('AIInsight');
+  }
+
+  if (insights.length >= WEEKLY_INSIGHT_QUOTA) {
+    console.log(`[getWeeklyInsight] User ${userId} reached weekly quota (${insights.length}/${WEEKLY_INSIGHT_QUOTA}) for ${week}`);
+    const quotaText = await getText('INSIGHT_QUOTA_EXCEEDED', locale, { 次數: WEEKLY_INSIGHT_QUOTA });
+    return latest
+      ? getText('INSIGHT_QUOTA_LATEST', locale, { 額度: quotaText, 總結: latest.get('AIInsight') })
+      : quotaText;
+  }
+
+  const insightText = await generateAiInsight(userId, weeklyAnswers, locale);
+  if (!insightText) {
+    return getText('AI_ERROR_WEEKLY', locale);
   }
+
+  const now = new Date();
+  await insightSheet.addRow({
+    InsightID: 'W' + now.getTime(),
+    UserID: userId,
+    Week: week,
+    AIInsight: insightText,
+    AnswerCount: weeklyAnswers.length,
+    AnswerDigest: answerDigest,
+    CreatedAt: now
+  });
+  console.log(`[getWeeklyInsight] Saved weekly insight for user ${userId} (${week}, ${insights.length + 1}/${WEEKLY_INSIGHT_QUOTA})`);
+  return insightText;
+}
+
+// 呼叫失敗時回傳 null（失敗不計入每週額度）
+async function generateAiInsight(userId, weeklyAnswers, locale) {
   const theme = weeklyAnswers[0].get('theme');
-  let promptText = `這是我這週關於「${THEME_MAP[theme] || theme}」主題的紀錄：\n\n`;
+  const entryTemplate = await getText('AI_ANSWER_ENTRY', locale);
+  const mediaLabels = await getMediaLabels(locale);
+  let promptText = await getText('AI_WEEKLY_HEADER', locale, { 主題: await getThemeName(theme, locale) }) + '\n\n';
   weeklyAnswers.forEach(row => {
-    promptText += `問題：${row.get('question')}\n`;
-    promptText += `我的回答：${row.get('answer')}\n---\n`;
+    promptText += formatMessage(entryTemplate, { 問題: row.get('question') || '', 回答: formatAnswerText(row, mediaLabels) }) + '\n---\n';
   });
 
-  const systemPromptMsg = await getMessage('WEEKLY_AI_PROMPT');
-  const systemPrompt = systemPromptMsg ? systemPromptMsg.message : "你是一個溫暖的夥伴，請總結使用者的紀錄。";
+  const systemPrompt = await getText('WEEKLY_AI_PROMPT', locale);
+  const redaction = createRedactionSession();
 
   try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        { "role": "system", "content": systemPrompt },
-        { "role": "user", "content": promptText }
-      ],
+    const completion = await llm.complete('WEEKLY_AI_PROMPT', {
+      system: systemPrompt + await getAiPromptNotes(locale),
+      user: redaction.redact(promptText),
     });
-    const aiResponse = completion.choices[0].message.content;
+    console.log(`[generateAiInsight] Redacted for user ${userId}:`, redaction.getCounts());
     // AI 總結功能已簡化，不再使用 SUNDAY_AI_INSIGHT_PREFIX/SUFFIX
-    return aiResponse;
+    return redaction.restore(completion.text);
   } catch (error) {
-    console.error("Error calling OpenAI API:", error);
-    const msg = await getMessage('AI_ERROR_WEEKLY');
-    const fallbackMsg = await getMessage('GENERIC_ERROR');
-    return msg ? msg.message : "抱歉，AI 總結功能暫時出了點問題。";
+    console.error(`Error calling LLM (${llm.provider}) for weekly insight (user ${userId}):`, error);
+    return null;
   }
 }
 
-async function generateMonthlyAiInsight(userId, targetDate = new Date()) {
-  const answerSheet = doc.sheetsByTitle['Answers'];
-  const allAnswers = await answerSheet.getRows();
-  const currentMonth = targetDate.getMonth();
-  const currentYear = targetDate.getFullYear();
+async function generateMonthlyAiInsight(userId, targetDate = new Date(), timeZone = DEFAULT_TIMEZONE, locale = DEFAULT_LOCALE) {
+  const answerSheet = await storage.getTable('Answers');
+  const userAnswers = await answerSheet.findBy('user', userId);
+  const targetMonth = getMonthString(targetDate, timeZone);
 
-  const monthlyAnswers = allAnswers.filter(row => {
-    if (row.get('userId') !== userId) return false;
-    const answerDate = new Date(row.get('timestamp'));
-    return answerDate.getMonth() === currentMonth && answerDate.getFullYear() === currentYear;
-  });
+  const monthlyAnswers = userAnswers.filter(row =>
+    getMonthString(new Date(row.get('timestamp')), timeZone) === targetMonth
+  );
 
   if (monthlyAnswers.length === 0) {
-    const msg = await getMessage('NO_MONTHLY_RECORDS');
-    const fallbackMsg = await getMessage('GENERIC_ERROR');
-    return msg ? msg.message : "這個月沒有紀錄可以分析。";
+    return { text: await getText('NO_MONTHLY_RECORDS', locale), usage: emptyUsage(), failed: false };
   }
 
-  let promptText = '這是我這個月的紀錄，請幫我總結：\n\n';
-  const weeklyData = {};
-  monthlyAnswers.forEach(row => {
-    const week = row.get('week');
-    if (!weeklyData[week]) {
-      weeklyData[week] = `--- ${week} ---\n`;
-    }
-    weeklyData[week] += `問題：${row.get('question')}\n`;
-    weeklyData[week] += `我的回答：${row.get('answer')}\n`;
+  return generateAnswersInsight(userId, monthlyAnswers, {
+    promptType: 'MONTHLY_AI_PROMPT',
+    header: await getText('AI_MONTHLY_HEADER', locale),
+    digestHeader: await getText('AI_MONTHLY_DIGEST_HEADER', locale),
+    errorMessageId: 'AI_ERROR_MONTHLY',
+    locale,
   });
-  promptText += Object.values(weeklyData).join('\n');
+}
+
+function emptyUsage() {
+  return { promptTokens: 0, completionTokens: 0, calls: 0, strategy: 'none' };
+}
 
-  const systemPromptMsg = await getMessage('MONTHLY_AI_PROMPT');
-  const systemPrompt = systemPromptMsg ? systemPromptMsg.message : "你是一個溫暖的夥伴，請總結使用者的紀錄。";
+// 把一段期間的回答交給 AI 總結（月回顧、自訂期間回顧共用）
+// 回傳 { text, usage, failed }；usage 是所有 LLM 呼叫的合計
+// AI 呼叫失敗時 failed 為 true，text 是給使用者看的錯誤訊息，不能當成回顧保存
+//   { promptTokens, completionTokens, calls, strategy: 'direct' | 'map-reduce' | 'none' }
+// prompt 超過 AI_PROMPT_TOKEN_BUDGET 時先把每週的紀錄各自摘要（map），再用摘要產生總結（reduce）
+async function generateAnswersInsight(userId, answers, { promptType, header, digestHeader, errorMessageId, locale }) {
+  const usage = emptyUsage();
+  const mediaLabels = await getMediaLabels(locale);
+  const sections = buildWeekSections(answers.map(row => ({
+    week: row.get('week'),
+    question: row.get('question'),
+    answer: formatAnswerText(row, mediaLabels),
+  })), await getText('AI_ANSWER_ENTRY', locale));
+  const mediaNote = answers.some(row => (row.get('answerType') || 'text') !== 'text')
+    ? '\n\n' + await getText('AI_MEDIA_NOTE', locale)
+    : '';
+  const truncatedNotice = await getText('AI_PROMPT_TRUNCATED', locale);
+
+  const systemPrompt = await getText(promptType, locale) + await getAiPromptNotes(locale);
+  // 每週摘要與最後的總結共用同一個 session，標記才會一致；只有最後的結果需要還原
+  const redaction = createRedactionSession();
+
+  const addUsage = (completion) => {
+    usage.promptTokens += completion.usage.promptTokens;
+    usage.completionTokens += completion.usage.completionTokens;
+    usage.calls++;
+  };
 
   try {
-    console.log('Calling OpenAI API for monthly insight...');
-    console.log(`Prompt length: ${promptText.length} characters`);
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        { "role": "system", "content": systemPrompt },
-        { "role": "user", "content": promptText }
-      ],
-    });
+    let promptText = redaction.redact(`${header}\n\n` + sections.map(section => section.text).join('\n') + mediaNote);
+    usage.strategy = 'direct';
+
+    if (estimateTokens(systemPrompt) + estimateTokens(promptText) > AI_PROMPT_TOKEN_BUDGET) {
+      console.log(`${promptType} prompt for user ${userId} is ~${estimateTokens(promptText)} tokens, summarising ${sections.length} weeks first`);
+      usage.strategy = 'map-reduce';
+      const digests = await summariseWeeks(sections, { mediaNote, truncatedNotice, redaction, addUsage, locale });
+      promptText = `${digestHeader}\n\n` + digests.join('\n\n');
+    }
 
-    console.log('OpenAI API call successful');
-    return completion.choices[0].message.content;
+    // 摘要後仍然太長（例如週數很多）時，保留前面的內容並截斷
+    promptText = truncateToTokens(promptText, AI_PROMPT_TOKEN_BUDGET - estimateTokens(systemPrompt), truncatedNotice);
+
+    console.log(`Calling LLM (${llm.provider}) for ${promptType}...`);
+    console.log(`Prompt length: ${promptText.length} characters, ~${estimateTokens(systemPrompt) + estimateTokens(promptText)} tokens`);
+
+    const completion = await llm.complete(promptType, { system: systemPrompt, user: promptText });
+    addUsage(completion);
+
+    console.log(`LLM call successful (${usage.calls} calls, ${usage.promptTokens} prompt + ${usage.completionTokens} completion tokens)`);
+    console.log(`Redacted for user ${userId}:`, redaction.getCounts());
+    return { text: redaction.restore(completion.text), usage, failed: false };
   } catch (error) {
-    console.error("Error calling OpenAI API for monthly insight:");
+    console.error(`Error calling LLM (${llm.provider}) for ${promptType}:`);
     console.error("Error name:", error.name);
     console.error("Error message:", error.message);
     console.error("Error status:", error.status);
     console.error("Full error:", JSON.stringify(error, null, 2));
 
-    const msg = await getMessage('AI_ERROR_MONTHLY');
-    const fallbackMsg = await getMessage('GENERIC_ERROR');
-    return msg ? msg.message : "抱歉，月份 AI 總結功能暫時出了點問題。";
+    return { text: await getText(errorMessageId, locale), usage, failed: true };
+  }
+}
+
+// 預設語系以外的使用者，在 system prompt 後面加上回覆語言的指示（AI_REPLY_LANGUAGE）
+function getAiLanguageNote(locale) {
+  const note = getCatalogEntry('AI_REPLY_LANGUAGE', locale);
+  return note && note.message ? `\n\n${note.message}` : '';
+}
+
+// 每個 system prompt 後面都要加上的說明：遮蔽標記的意思與回覆語言
+async function getAiPromptNotes(locale) {
+  return `\n\n${await getText('AI_REDACTION_NOTE', locale)}` + getAiLanguageNote(locale);
+}
+
+// map 階段：每週各自摘要，回傳「--- 週次 ---\n摘要」陣列
+// 單一週就超過預算時先截斷再摘要；摘要保留遮蔽標記，交給最後的總結一起還原
+async function summariseWeeks(sections, { mediaNote, truncatedNotice, redaction, addUsage, locale }) {
+  const digestPrompt = await getText('MONTHLY_WEEK_DIGEST_PROMPT', locale) + await getAiPromptNotes(locale);
+  const sectionBudget = AI_PROMPT_TOKEN_BUDGET - estimateTokens(digestPrompt);
+
+  const digests = [];
+  for (const section of sections) {
+    const completion = await llm.complete('MONTHLY_WEEK_DIGEST_PROMPT', {
+      system: digestPrompt,
+      user: truncateToTokens(redaction.redact(section.text + mediaNote), sectionBudget, truncatedNotice),
+    });
+    addUsage(completion);
+    digests.push(`--- ${section.week} ---\n${completion.text}`);
+  }
+  return digests;
+}
+
+// 自訂期間回顧：回傳要推播的文字，成功產生時存到 Reflections
+async function generateRangeReflection(userId, { start, end, theme }, timeZone = DEFAULT_TIMEZONE, locale = DEFAULT_LOCALE) {
+  const answerSheet = await storage.getTable('Answers');
+  const answers = (await answerSheet.findBy('user', userId)).filter(row => {
+    const date = getDateString(new Date(row.get('timestamp')), timeZone);
+    return date >= start && date <= end && (!theme || row.get('theme') === theme);
+  });
+
+  if (answers.length === 0) {
+    return getText('NO_RANGE_RECORDS', locale, { 開始: start, 結束: end });
   }
+
+  const headerVars = {
+    開始: start,
+    結束: end,
+    主題: theme ? await getText('AI_RANGE_THEME_LABEL', locale, { 主題: await getThemeName(theme, locale) }) : '',
+  };
+  const { text, usage, failed } = await generateAnswersInsight(userId, answers, {
+    promptType: 'RANGE_AI_PROMPT',
+    header: await getText('AI_RANGE_HEADER', locale, headerVars),
+    digestHeader: await getText('AI_RANGE_DIGEST_HEADER', locale, headerVars),
+    errorMessageId: 'AI_ERROR_REFLECTION',
+    locale,
+  });
+
+  if (!failed) {
+    await saveReflection(userId, { kind: 'range', start, end, theme, text, usage });
+  }
+  return text;
+}
+
+// 年度與自訂期間的回顧存在 Reflections，不放進 MonthlyInsights：
+// MonthlyInsights 一個月一筆、以 Month 當鍵，年度回顧也是拿它當材料，混入任意期間的紀錄會被誤當成某個月的回顧
+// 兩者在匯出時合併（見 buildUserJournal）
+async function saveReflection(userId, { kind, start, end, theme, text, usage }) {
+  const reflectionSheet = await storage.ensureTable('Reflections');
+  const now = new Date();
+  await reflectionSheet.addRow({
+    ReflectionID: 'F' + now.getTime(),
+    UserID: userId,
+    Kind: kind,
+    RangeStart: start,
+    RangeEnd: end,
+    Theme: theme || '',
+    AIInsight: text,
+    PromptTokens: usage.promptTokens,
+    CompletionTokens: usage.completionTokens,
+    LlmCalls: usage.calls,
+    CreatedAt: now
+  });
+  console.log(`[saveReflection] Saved ${kind} reflection for user ${userId} (${start} ~ ${end})`);
+}
+
+// 年度回顧：以當年的 MonthlyInsights 與各主題的回答統計為材料，不重新讀取每一則回答
+// 沒有任何材料時回傳 null
+async function generateYearlyReflection(userId, year, timeZone = DEFAULT_TIMEZONE, locale = DEFAULT_LOCALE) {
+  const usage = emptyUsage();
+  const answerSheet = await storage.getTable('Answers');
+  const answers = (await answerSheet.findBy('user', userId))
+    .filter(row => getDateString(new Date(row.get('timestamp')), timeZone).startsWith(`${year}-`));
+
+  const insightSheet = await storage.getTable('MonthlyInsights');
+  const monthlyInsights = insightSheet
+    ? (await insightSheet.getRows())
+      .filter(row => row.get('UserID') === userId && String(row.get('Month')).startsWith(`${year}-`))
+      .sort((a, b) => String(a.get('Month')).localeCompare(String(b.get('Month'))))
+    : [];
+
+  if (answers.length === 0 && monthlyInsights.length === 0) {
+    return null;
+  }
+
+  const stats = buildThemeStats(answers.map(row => ({
+    theme: row.get('theme'),
+    week: row.get('week'),
+    answerType: row.get('answerType'),
+  })));
+
+  const themeStats = formatThemeStats(stats, await getThemeMap(locale), {
+    line: await getText('AI_YEARLY_THEME_STAT', locale),
+    media: await getText('AI_YEARLY_THEME_STAT_MEDIA', locale),
+  });
+  let promptText = await getText('AI_YEARLY_MATERIAL', locale, {
+    年份: year,
+    主題統計: themeStats || await getText('AI_YEARLY_NO_ANSWERS', locale),
+    每月回顧: monthlyInsights.length > 0
+      ? monthlyInsights.map(row => `--- ${row.get('Month')} ---\n${row.get('AIInsight')}`).join('\n\n')
+      : await getText('AI_YEARLY_NO_MONTHLY', locale),
+  });
+
+  const systemPrompt = await getText('YEARLY_AI_PROMPT', locale) + await getAiPromptNotes(locale);
+  const redaction = createRedactionSession();
+  promptText = truncateToTokens(
+    redaction.redact(promptText),
+    AI_PROMPT_TOKEN_BUDGET - estimateTokens(systemPrompt),
+    await getText('AI_PROMPT_TRUNCATED', locale)
+  );
+
+  const completion = await llm.complete('YEARLY_AI_PROMPT', { system: systemPrompt, user: promptText });
+  usage.promptTokens = completion.usage.promptTokens;
+  usage.completionTokens = completion.usage.completionTokens;
+  usage.calls = 1;
+  usage.strategy = 'direct';
+  return { text: redaction.restore(completion.text), usage };
 }
 
 async function countWeeklyResponses(userId, week) {
-  const answerSheet = doc.sheetsByTitle['Answers'];
-  const rows = await answerSheet.getRows();
+  const answerSheet = await storage.getTable('Answers');
+  const rows = await answerSheet.findBy('userWeek', `${userId}|${week}`);
   let count = 0;
   for (const row of rows) {
-    if (row.get('userId') === userId && row.get('week') === week && (row.get('skipped') === 'FALSE' || row.get('skipped') === false)) {
+    if (row.get('skipped') === 'FALSE' || row.get('skipped') === false) {
       count++;
     }
   }
   return count;
 }
 
-function getCurrentWeekString() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const weekNum = getWeekNumber(now);
-  return year + '-W' + (weekNum < 10 ? '0' + weekNum : weekNum);
+// pausedUntil 是使用者時區的日期（YYYY-MM-DD），當天仍在暫停中
+function isUserPaused(userRow, now = new Date()) {
+  const pausedUntil = userRow ? userRow.get('pausedUntil') : null;
+  if (!pausedUntil) return false;
+  return getDateString(now, getUserTimezone(userRow)) <= String(pausedUntil).substring(0, 10);
+}
+
+function isAiOptedOut(userRow) {
+  const value = userRow ? userRow.get('aiOptOut') : null;
+  return value === true || value === 'TRUE' || value === 'true';
+}
+
+function getUserDeliverySlot(userRow) {
+  const slot = userRow ? userRow.get('deliverySlot') : null;
+  return DELIVERY_SLOTS[slot] ? slot : DEFAULT_DELIVERY_SLOT;
+}
+
+// 今天（使用者時區）是發問日，且現在落在使用者選擇的時段內（時段開始後 DELIVERY_WINDOW_HOURS 小時）
+// 外部 CRON 漏掉某個整點時，下一個整點仍會補發；超過時段就等明天，避免深夜才收到問題
+// 同一天重複發送由執行紀錄與 sendDailyQuestionForUser 的檢查擋下
+function isDailyQuestionDue(userRow, now = new Date()) {
+  const timeZone = getUserTimezone(userRow);
+  if (!DAILY_QUESTION_DAYS.includes(getDayString(now, timeZone))) {
+    return false;
+  }
+  const { hour } = getZonedParts(now, timeZone);
+  const slotHour = DELIVERY_SLOTS[getUserDeliverySlot(userRow)].hour;
+  return hour >= slotHour && hour < slotHour + DELIVERY_WINDOW_HOURS;
 }
 
-function getWeekNumber(date) {
-  const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-  const dayNum = d.getUTCDay() || 7;
-  d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-  return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+// 使用者時區（Users.timezone），未設定或無效時使用 Asia/Taipei
+function getUserTimezone(userRow) {
+  return resolveTimezone(userRow ? userRow.get('timezone') : null);
 }
 
-function getCurrentDayString() {
-  const dayMap = { 0: 'SUN', 1: 'MON', 2: 'TUE', 3: 'WED', 4: 'THU', 5: 'FRI', 6: 'SAT' };
-  return dayMap[new Date().getDay()] || '';
+function getCurrentWeekString(timeZone = DEFAULT_TIMEZONE) {
+  return getWeekString(new Date(), timeZone);
+}
+
+function getCurrentDayString(timeZone = DEFAULT_TIMEZONE) {
+  return getDayString(new Date(), timeZone);
 }
 
 // --- 8. 伺服器啟動 ---
 const port = process.env.PORT || 3000;
 
 // 啟動前檢查關鍵環境變數
-const requiredEnvVars = ['CHANNEL_ACCESS_TOKEN', 'CHANNEL_SECRET', 'GOOGLE_SERVICE_ACCOUNT_EMAIL', 'GOOGLE_PRIVATE_KEY'];
+const requiredEnvVars = ['CHANNEL_ACCESS_TOKEN', 'CHANNEL_SECRET'];
+if (STORAGE_BACKEND === 'sheets') {
+  requiredEnvVars.push('GOOGLE_SERVICE_ACCOUNT_EMAIL', 'GOOGLE_PRIVATE_KEY');
+}
+if (llm.provider === 'openai') {
+  requiredEnvVars.push('OPENAI_API_KEY');
+}
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
@@ -0,0 +1,188 @@
+// ========================================
+// 媒體檔案儲存（Blob Store）
+// ========================================
+// 使用者以照片、語音回答時，內容從 LINE 下載後存到這裡，Answers 只記錄回傳的參照字串（ref）。
+// 每種實作提供相同介面：
+//   put(key, buffer, { contentType }) -> ref（例如 's3:answers/U123/A456.jpg'）
+//   get(ref)                          -> { buffer, contentType }，找不到時回傳 null
+//   owns(ref)                         -> ref 是否由這個實作存入（可以用 get 讀回）
+// 實作：
+//   s3      S3 相容的物件儲存（AWS S3、Cloudflare R2、Backblaze B2 ...），Vercel / Render 上請用這個
+//   local   存到 dir，只適合有持久磁碟的主機；Vercel 的專案目錄是唯讀的，Render 重新部署會清空
+//   memory  只存在記憶體，測試用
+// 沒有預設值：backend 必須明確指定，避免在無法保存檔案的環境默默遺失媒體。
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'audio/m4a': '.m4a',
+  'audio/x-m4a': '.m4a',
+  'audio/mp4': '.m4a',
+  'audio/mpeg': '.mp3',
+};
+
+function extensionFor(contentType) {
+  return CONTENT_TYPE_EXTENSIONS[contentType] || '.bin';
+}
+
+// key 只允許安全的路徑字元，避免 userId 或 messageId 組出 ../ 之類的路徑
+function sanitizeKey(key) {
+  return String(key)
+    .split('/')
+    .map(part => part.replace(/[^A-Za-z0-9._-]/g, '_'))
+    .filter(part => part && part !== '.' && part !== '..')
+    .join('/');
+}
+
+function createLocalBlobStore({ dir }) {
+  if (!dir) {
+    throw new Error('Local blob store requires a directory (BLOB_STORE_DIR)');
+  }
+  const rootDir = path.resolve(dir);
+
+  function resolvePath(key) {
+    return path.join(rootDir, sanitizeKey(key));
+  }
+
+  async function put(key, buffer, { contentType = 'application/octet-stream' } = {}) {
+    const safeKey = sanitizeKey(key) + extensionFor(contentType);
+    const filePath = resolvePath(safeKey);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    console.log(`[BlobStore] Stored ${buffer.length} bytes at ${safeKey}`);
+    return `local:${safeKey}`;
+  }
+
+  async function get(ref) {
+    if (!ref || !ref.startsWith('local:')) return null;
+    const key = ref.slice('local:'.length);
+    try {
+      const buffer = await fs.promises.readFile(resolvePath(key));
+      const ext = path.extname(key);
+      const contentType = Object.keys(CONTENT_TYPE_EXTENSIONS).find(type => CONTENT_TYPE_EXTENSIONS[type] === ext)
+        || 'application/octet-stream';
+      return { buffer, contentType };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  return { backend: 'local', put, get, owns: ref => String(ref).startsWith('local:') };
+}
+
+// 只存在記憶體，重新啟動就消失；用於本機測試
+function createMemoryBlobStore() {
+  const blobs = new Map();
+
+  async function put(key, buffer, { contentType = 'application/octet-stream' } = {}) {
+    const safeKey = sanitizeKey(key) + extensionFor(contentType);
+    blobs.set(safeKey, { buffer, contentType });
+    return `memory:${safeKey}`;
+  }
+
+  async function get(ref) {
+    if (!ref || !ref.startsWith('memory:')) return null;
+    return blobs.get(ref.slice('memory:'.length)) || null;
+  }
+
+  return { backend: 'memory', put, get, owns: ref => String(ref).startsWith('memory:') };
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// AWS Signature Version 4（只處理沒有 query string 的請求）
+// headers 的名稱要是小寫，全部列入簽章；回傳加上 x-amz-* 與 authorization 的 headers
+// host 也會列入簽章，但不放進回傳值，由 fetch 依網址自動帶上
+function signS3Request({ method, url, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, now = new Date() }) {
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const date = amzDate.substring(0, 8);
+  const signed = { ...headers, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  const all = { ...signed, host: url.host };
+  const names = Object.keys(all).sort();
+  const canonicalHeaders = names.map(name => `${name}:${String(all[name]).trim()}\n`).join('');
+  const signedHeaders = names.join(';');
+  const canonicalRequest = [method, url.pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, date), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+// 使用 path-style 網址（endpoint/bucket/key），R2、B2、MinIO 都支援
+function createS3BlobStore({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey }) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 blob store requires a bucket, access key id and secret access key');
+  }
+  const baseUrl = (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/$/, '');
+  const credentials = { region, accessKeyId, secretAccessKey };
+
+  function objectUrl(key) {
+    return new URL(`${baseUrl}/${bucket}/${key}`);
+  }
+
+  async function put(key, buffer, { contentType = 'application/octet-stream' } = {}) {
+    const safeKey = sanitizeKey(key) + extensionFor(contentType);
+    const url = objectUrl(safeKey);
+    const headers = signS3Request({
+      ...credentials,
+      method: 'PUT',
+      url,
+      headers: { 'content-type': contentType },
+      payloadHash: sha256Hex(buffer),
+    });
+    const response = await fetch(url, { method: 'PUT', headers, body: buffer });
+    if (!response.ok) {
+      throw new Error(`S3 PUT ${safeKey} failed: ${response.status} ${await response.text()}`);
+    }
+    console.log(`[BlobStore] Stored ${buffer.length} bytes at s3://${bucket}/${safeKey}`);
+    return `s3:${safeKey}`;
+  }
+
+  async function get(ref) {
+    if (!ref || !ref.startsWith('s3:')) return null;
+    const url = objectUrl(sanitizeKey(ref.slice('s3:'.length)));
+    const headers = signS3Request({ ...credentials, method: 'GET', url, payloadHash: sha256Hex('') });
+    const response = await fetch(url, { headers });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`S3 GET ${url.pathname} failed: ${response.status}`);
+    }
+    return {
+      buffer: Buffer.from(await response.arrayBuffer()),
+      contentType: response.headers.get('content-type') || 'application/octet-stream',
+    };
+  }
+
+  return { backend: 's3', put, get, owns: ref => String(ref).startsWith('s3:') };
+}
+
+function createBlobStore(options = {}) {
+  const backend = options.backend;
+  if (backend === 's3') {
+    return createS3BlobStore(options);
+  }
+  if (backend === 'local') {
+    return createLocalBlobStore(options);
+  }
+  if (backend === 'memory') {
+    return createMemoryBlobStore();
+  }
+  throw new Error(`Unknown blob store backend: ${backend || '(not set)'}`);
+}
+
+module.exports = { createBlobStore, sanitizeKey, signS3Request };
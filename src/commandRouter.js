@@ -0,0 +1,50 @@
+// ========================================
+// 文字指令路由
+// ========================================
+// 在依使用者狀態處理訊息之前，先檢查是不是指令：
+//   - 斜線指令（/history、/theme SELF）比對第一個字，後面的文字當作參數
+//   - 一般關鍵字（紀錄、說明）必須整則訊息完全相同才算，避免把回答誤判成指令
+// 每個指令的關鍵字可以由 loadAliases(name) 覆蓋（例如從 Messages 資料表讀取），
+// 沒有設定時使用預設值；指令本身的斜線寫法（/name）永遠有效。
+
+function createCommandRouter({ commands, loadAliases = async () => null }) {
+  async function getAliases(name) {
+    const configured = await loadAliases(name);
+    const aliases = configured && configured.length > 0 ? configured : commands[name].aliases || [];
+    return [`/${name}`, ...aliases].map(alias => alias.toLowerCase());
+  }
+
+  // 回傳 { name, args, handler }，不是指令時回傳 null
+  async function match(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) return null;
+
+    const normalized = trimmed.toLowerCase();
+    const [head, ...rest] = trimmed.split(/\s+/);
+    const isSlash = head.startsWith('/');
+
+    for (const name of Object.keys(commands)) {
+      const aliases = await getAliases(name);
+      if (isSlash && aliases.includes(head.toLowerCase())) {
+        return { name, args: rest.join(' '), handler: commands[name].handler };
+      }
+      if (!isSlash && aliases.includes(normalized)) {
+        return { name, args: '', handler: commands[name].handler };
+      }
+    }
+    return null;
+  }
+
+  // 是指令就執行並回傳 true
+  async function dispatch(text, context) {
+    const command = await match(text);
+    if (!command) return false;
+    console.log(`[CommandRouter] User ${context.userId} ran command '${command.name}'${command.args ? ` with args '${command.args}'` : ''}`);
+    await command.handler({ ...context, args: command.args });
+    return true;
+  }
+
+  return { match, dispatch };
+}
+
+module.exports = { createCommandRouter };
@@ -0,0 +1,190 @@
+// ========================================
+// LINE 推播佇列：限速、重試、multicast 與死信（Dead Letter）
+// ========================================
+// - 所有推播依序送出，兩次請求之間至少間隔 1000 / ratePerSecond 毫秒
+// - 429、5xx 與網路錯誤會以指數退避重試（有 Retry-After 時以它為準）
+// - 每則訊息帶固定的 X-Line-Retry-Key，重試時 LINE 不會重複送達（回 409 視為已送達）
+// - 重試後仍失敗的訊息寫入 DeadLetters 資料表，之後可由維運人員 replay
+const crypto = require('crypto');
+
+const DEAD_LETTER_TABLE = 'DeadLetters';
+// LINE multicast 一次最多 500 位收件者
+const MULTICAST_CHUNK_SIZE = 500;
+
+const DEAD_LETTER_STATUS = {
+  PENDING: 'pending',
+  REPLAYED: 'replayed',
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getStatusCode(error) {
+  return error.statusCode || (error.originalError && error.originalError.response && error.originalError.response.status) || null;
+}
+
+function isRetryable(error) {
+  const status = getStatusCode(error);
+  // 沒有狀態碼代表是網路層錯誤（逾時、連線中斷），也值得重試
+  return !status || status === 429 || status >= 500;
+}
+
+function getRetryAfterMs(error) {
+  const headers = error.originalError && error.originalError.response && error.originalError.response.headers;
+  const retryAfter = headers && (headers['retry-after'] || headers['Retry-After']);
+  const seconds = Number(retryAfter);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+function createDeliveryQueue({
+  client,
+  storage,
+  ratePerSecond = 50,
+  maxRetries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 8000,
+}) {
+  const minIntervalMs = Math.ceil(1000 / ratePerSecond);
+  let chain = Promise.resolve();
+  let lastRequestAt = 0;
+
+  // 所有請求排進同一條佇列，確保不超過速率上限
+  function schedule(fn) {
+    const run = chain.then(async () => {
+      const wait = lastRequestAt + minIntervalMs - Date.now();
+      if (wait > 0) await sleep(wait);
+      lastRequestAt = Date.now();
+      return fn();
+    });
+    // 單一請求失敗不能讓後面的請求卡住
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  async function sendWithRetry(kind, to, messages, context) {
+    const retryKey = crypto.randomUUID();
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await schedule(() => {
+          client.setRequestOptionOnce({ retryKey });
+          return kind === 'multicast'
+            ? client.multicast(to, messages)
+            : client.pushMessage(to, messages);
+        });
+        return;
+      } catch (error) {
+        const status = getStatusCode(error);
+        if (status === 409) {
+          // 同一個 retry key 已經被 LINE 接受過，代表先前的請求其實成功了
+          console.log(`[Delivery] ${kind} ${context} already accepted (409), treating as delivered`);
+          return;
+        }
+        if (!isRetryable(error) || attempt >= maxRetries) {
+          error.attempts = attempt + 1;
+          throw error;
+        }
+        const backoff = Math.min(baseDelayMs * Math.pow(2, attempt), maxDelayMs);
+        const delay = getRetryAfterMs(error) || backoff + Math.floor(Math.random() * baseDelayMs);
+        console.warn(`[Delivery] ${kind} ${context} failed with status ${status || 'network error'}, retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  async function saveDeadLetter(kind, recipients, messages, context, error) {
+    try {
+      const table = await storage.ensureTable(DEAD_LETTER_TABLE);
+      const now = new Date();
+      await table.addRow({
+        LetterID: 'D' + now.getTime() + Math.floor(Math.random() * 1000),
+        Kind: kind,
+        Recipients: JSON.stringify(recipients),
+        Messages: JSON.stringify(messages),
+        Context: context,
+        LastError: String(error.message || error).substring(0, 500),
+        StatusCode: getStatusCode(error) || '',
+        Attempts: error.attempts || 1,
+        Status: DEAD_LETTER_STATUS.PENDING,
+        CreatedAt: now,
+        UpdatedAt: now,
+      });
+      console.error(`[Delivery] Stored dead letter for ${kind} ${context} (${recipients.length} recipients)`);
+    } catch (storeError) {
+      // 連死信都存不了，只能把內容完整留在 log 裡
+      console.error(`[Delivery] Failed to store dead letter for ${kind} ${context}:`, storeError.message);
+      console.error('[Delivery] Undelivered payload:', JSON.stringify({ recipients, messages }));
+    }
+  }
+
+  // 單一使用者推播；最終失敗時存成死信並拋出錯誤（error.deadLettered = true）
+  // fallback：訊息格式被 LINE 拒絕（400，例如 Flex 版型有誤）時改送的訊息，通常是純文字版本
+  async function push(userId, messages, { context = '', fallback = null } = {}) {
+    try {
+      await sendWithRetry('push', userId, messages, context || `user ${userId}`);
+    } catch (error) {
+      if (fallback && getStatusCode(error) === 400) {
+        console.warn(`[Delivery] push ${context} rejected (400), sending fallback instead: ${error.message}`);
+        return push(userId, fallback, { context: `${context} (fallback)` });
+      }
+      await saveDeadLetter('push', [userId], messages, context, error);
+      error.deadLettered = true;
+      throw error;
+    }
+  }
+
+  // 相同內容送給多位使用者；每 500 人一批，回傳送達與失敗的 userId
+  async function multicast(userIds, messages, { context = '' } = {}) {
+    const result = { sent: [], failed: [] };
+    for (let i = 0; i < userIds.length; i += MULTICAST_CHUNK_SIZE) {
+      const chunk = userIds.slice(i, i + MULTICAST_CHUNK_SIZE);
+      try {
+        await sendWithRetry('multicast', chunk, messages, `${context} (${chunk.length} users)`);
+        result.sent.push(...chunk);
+      } catch (error) {
+        await saveDeadLetter('multicast', chunk, messages, context, error);
+        result.failed.push(...chunk.map(userId => ({ userId, error })));
+      }
+    }
+    return result;
+  }
+
+  async function listDeadLetters({ status = DEAD_LETTER_STATUS.PENDING } = {}) {
+    const table = await storage.ensureTable(DEAD_LETTER_TABLE);
+    const rows = await table.getRows();
+    return rows.filter(row => !status || row.get('Status') === status);
+  }
+
+  // 重新發送尚未處理的死信；成功標記為 replayed，失敗則更新錯誤並保留 pending
+  async function replayDeadLetters({ limit = 50 } = {}) {
+    const rows = (await listDeadLetters()).slice(0, limit);
+    const summary = { total: rows.length, replayed: 0, failed: 0, errors: [] };
+
+    for (const row of rows) {
+      const letterId = row.get('LetterID');
+      try {
+        const recipients = JSON.parse(row.get('Recipients'));
+        const messages = JSON.parse(row.get('Messages'));
+        const kind = row.get('Kind');
+        await sendWithRetry(kind, kind === 'multicast' ? recipients : recipients[0], messages, `replay ${letterId}`);
+        row.set('Status', DEAD_LETTER_STATUS.REPLAYED);
+        summary.replayed++;
+      } catch (error) {
+        row.set('LastError', String(error.message || error).substring(0, 500));
+        row.set('StatusCode', getStatusCode(error) || '');
+        summary.failed++;
+        summary.errors.push(`${letterId}: ${error.message}`);
+      }
+      row.set('Attempts', (Number(row.get('Attempts')) || 0) + 1);
+      row.set('UpdatedAt', new Date());
+      await row.save();
+    }
+
+    console.log(`[Delivery] Dead letter replay: ${summary.replayed} replayed, ${summary.failed} failed`);
+    return summary;
+  }
+
+  return { push, multicast, listDeadLetters, replayDeadLetters };
+}
+
+module.exports = { createDeliveryQueue, DEAD_LETTER_TABLE, DEAD_LETTER_STATUS };
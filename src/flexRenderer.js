@@ -0,0 +1,131 @@
+// ========================================
+// Flex Message 產生器
+// ========================================
+// 三種卡片：每日問題、每週紀錄（一天一張的 carousel）、每月回顧。
+// 每種卡片都可以在 Messages 資料表用同名的 MessageID 覆蓋版型，Message 欄位填 Flex bubble 的 JSON，
+// 字串中的 {{變數}} 會被代入（變數見各 render 函式）：
+//   FLEX_QUESTION_CARD  {{theme}} {{intro}} {{question}}
+//   FLEX_RECORD_DAY     {{day}} {{question}} {{answer}}
+//   FLEX_INSIGHT_CARD   {{title}} {{period}} {{insight}}
+// 代入後是空字串的 text 元件會被移除（LINE 不接受空白的 text）。
+// altText 一律是完整的純文字版本，通知列與不支援 Flex 的裝置會顯示它。
+// 純函式，不直接讀寫資料表；送出失敗時改送純文字由呼叫端處理。
+
+const TEMPLATE_IDS = {
+  question: 'FLEX_QUESTION_CARD',
+  recordDay: 'FLEX_RECORD_DAY',
+  insight: 'FLEX_INSIGHT_CARD',
+};
+
+// LINE 限制：altText 400 字、carousel 最多 12 張
+const MAX_ALT_TEXT = 400;
+const MAX_CAROUSEL_BUBBLES = 12;
+
+const ACCENT_COLOR = '#6B8E7F';
+const MUTED_COLOR = '#8C8C8C';
+
+function header(text, subtitle) {
+  const contents = [{ type: 'text', text, weight: 'bold', size: 'lg', color: '#FFFFFF', wrap: true }];
+  if (subtitle !== undefined) {
+    contents.push({ type: 'text', text: subtitle, size: 'xs', color: '#FFFFFF' });
+  }
+  return { type: 'box', layout: 'vertical', backgroundColor: ACCENT_COLOR, paddingAll: '16px', contents };
+}
+
+const DEFAULT_TEMPLATES = {
+  question: {
+    type: 'bubble',
+    header: header('{{theme}}'),
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'md',
+      contents: [
+        { type: 'text', text: '{{intro}}', size: 'sm', color: MUTED_COLOR, wrap: true },
+        { type: 'text', text: '{{question}}', size: 'md', wrap: true },
+      ],
+    },
+  },
+  recordDay: {
+    type: 'bubble',
+    size: 'kilo',
+    header: header('{{day}}'),
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'md',
+      contents: [
+        { type: 'text', text: '{{question}}', size: 'sm', color: MUTED_COLOR, wrap: true },
+        { type: 'separator' },
+        { type: 'text', text: '{{answer}}', size: 'sm', wrap: true },
+      ],
+    },
+  },
+  insight: {
+    type: 'bubble',
+    size: 'giga',
+    header: header('{{title}}', '{{period}}'),
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      contents: [
+        { type: 'text', text: '{{insight}}', size: 'sm', wrap: true },
+      ],
+    },
+  },
+};
+
+// Messages 裡的版型 JSON；無法解析時回傳 null，改用預設版型
+function parseTemplate(text) {
+  if (!text) return null;
+  try {
+    const template = JSON.parse(text);
+    return template && template.type === 'bubble' ? template : null;
+  } catch (error) {
+    console.warn('[flexRenderer] Invalid Flex template JSON:', error.message);
+    return null;
+  }
+}
+
+// 代入變數後移除空白的 text 元件；在物件層級代入，使用者的回答不會破壞 JSON
+function fill(node, vars) {
+  if (typeof node === 'string') {
+    return node.replace(/\{\{(\w+)\}\}/g, (match, key) => (vars[key] === undefined || vars[key] === null ? '' : String(vars[key])));
+  }
+  if (Array.isArray(node)) {
+    return node
+      .map(child => fill(child, vars))
+      .filter(child => !(child && child.type === 'text' && !String(child.text || '').trim()));
+  }
+  if (node && typeof node === 'object') {
+    return Object.keys(node).reduce((result, key) => ({ ...result, [key]: fill(node[key], vars) }), {});
+  }
+  return node;
+}
+
+// altText 是空字串時改用 emptyAltText（NEW_MESSAGE_ALT_TEXT），LINE 不接受空白的 altText
+function toFlex(altText, contents, emptyAltText) {
+  return { type: 'flex', altText: String(altText || '').substring(0, MAX_ALT_TEXT) || emptyAltText, contents };
+}
+
+// { theme, intro, question }
+function renderQuestionCard(vars, { template, altText, emptyAltText } = {}) {
+  return toFlex(altText, fill(template || DEFAULT_TEMPLATES.question, vars), emptyAltText);
+}
+
+// days：[{ day, entries: [{ question, answer }] }]，同一天有多則回答時合併在同一張
+function renderRecordCarousel(days, { template, altText, emptyAltText } = {}) {
+  const bubbles = days.slice(0, MAX_CAROUSEL_BUBBLES).map(({ day, entries }) => fill(template || DEFAULT_TEMPLATES.recordDay, {
+    day,
+    question: Array.from(new Set(entries.map(entry => entry.question))).join('\n'),
+    answer: entries.map(entry => entry.answer).join('\n\n'),
+  }));
+  return toFlex(altText, { type: 'carousel', contents: bubbles }, emptyAltText);
+}
+
+// { title, period, insight }
+function renderInsightCard(vars, { template, altText, emptyAltText } = {}) {
+  return toFlex(altText, fill(template || DEFAULT_TEMPLATES.insight, vars), emptyAltText);
+}
+
+module.exports = { TEMPLATE_IDS, parseTemplate, renderQuestionCard, renderRecordCarousel, renderInsightCard };
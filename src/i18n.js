@@ -0,0 +1,550 @@
+// ========================================
+// 多語系：語系解析與內建文案
+// ========================================
+// Messages 與 Questions 資料表的 Locale 欄位填 BCP 47 語系（zh-TW、en、ja ...），留空表示 DEFAULT_LOCALE。
+// 查詢順序：使用者的語系（en-US）→ 同語言（en）→ DEFAULT_LOCALE，
+// 資料表與 CATALOG 都沒有的 MessageID 才視為找不到。
+//
+// CATALOG 是程式內建的預設文案，MessageID 與 Messages 資料表相同，資料表有設定時以資料表為準；
+// 值可以是字串，或是 { message, buttons, quickReplies }（按鈕格式見 src/messageActions.js）。
+// 文字中的【變數】由 formatMessage 代入，各語系使用相同的變數名稱。
+// 純函式，不直接讀寫資料表。
+
+const DEFAULT_LOCALE = 'zh-TW';
+
+// 'zh_tw' -> 'zh-TW'、'EN' -> 'en'；無法辨識時回傳空字串
+function normalizeLocale(value) {
+  const parts = String(value || '').trim().replace(/_/g, '-').split('-').filter(Boolean);
+  if (parts.length === 0 || !/^[a-z]{2,3}$/i.test(parts[0])) return '';
+  return parts
+    .map((part, index) => {
+      if (index === 0) return part.toLowerCase();
+      if (part.length === 2) return part.toUpperCase();
+      if (part.length === 4) return part.charAt(0).toUpperCase() + part.slice(1).toLowerCase();
+      return part;
+    })
+    .join('-');
+}
+
+// 'en-US' -> ['en-US', 'en', 'zh-TW']
+function getLocaleChain(locale) {
+  const normalized = normalizeLocale(locale);
+  const chain = [];
+  if (normalized) {
+    chain.push(normalized);
+    chain.push(normalized.split('-')[0]);
+  }
+  chain.push(DEFAULT_LOCALE);
+  return chain.filter((item, index) => chain.indexOf(item) === index);
+}
+
+// candidateLocale 在查詢順序中的位置，越小越優先；不在順序中時回傳 -1
+function localeRank(candidateLocale, locale) {
+  return getLocaleChain(locale).indexOf(normalizeLocale(candidateLocale) || DEFAULT_LOCALE);
+}
+
+// items 中語系最符合的一項；都不在查詢順序中時回傳第一項
+function pickLocalized(items, locale, getLocale) {
+  let best = null;
+  let bestRank = Infinity;
+  items.forEach(item => {
+    const rank = localeRank(getLocale(item), locale);
+    if (rank >= 0 && rank < bestRank) {
+      best = item;
+      bestRank = rank;
+    }
+  });
+  return best || items[0] || null;
+}
+
+// 代入【變數】；vars 中沒有的變數保持原樣
+function formatMessage(text, vars = {}) {
+  return String(text || '').replace(/【([^【】]+)】/g, (match, key) =>
+    (vars[key] === undefined || vars[key] === null ? match : String(vars[key])));
+}
+
+const CATALOG = {
+  'zh-TW': {
+    LOCALE_NAME: '繁體中文',
+    LIST_SEPARATOR: '、',
+
+    GENERIC_ERROR: '抱歉，處理您的請求時發生錯誤，請稍後再試。',
+    SYSTEM_BUSY: '抱歉，系統暫時無法處理您的請求，請稍後再試。',
+    UNKNOWN_ACTION: '抱歉，無法識別您的操作，請重新嘗試。',
+    UNKNOWN_THEME_CHOICE: '抱歉，無法識別您選擇的主題，請重新選擇。',
+    UNKNOWN_SLOT: '抱歉，無法識別您選擇的時段，請重新選擇。',
+    QUESTION_SEND_FAILED: '抱歉，發送問題時出現錯誤，請稍後再試。',
+
+    WELCOME_MONDAY: {
+      message: '歡迎！每週你可以選一個想關注的主題，週二到週五每天會收到一個問題，週六一起回顧這週的紀錄。\n\n今天是週一，要現在開始嗎？',
+      buttons: [
+        { label: '現在開始', data: 'action=start_now' },
+        { label: '晚點再說', data: 'action=later' },
+        { label: '怎麼玩', data: 'action=how_to_play' },
+      ],
+    },
+    WELCOME_OTHER_DAY: {
+      message: '歡迎！每週你可以選一個想關注的主題，週二到週五每天會收到一個問題，週六一起回顧這週的紀錄。\n\n下週一會請你選擇主題，也可以現在就開始這週。',
+      buttons: [
+        { label: '開始這週', data: 'action=start_week' },
+        { label: '怎麼玩', data: 'action=how_to_play' },
+      ],
+    },
+    WELCOME_FALLBACK: '歡迎！輸入 /theme 就可以選擇這週想關注的主題。',
+    HOW_TO_PLAY: '每週選一個想關注的主題，週二到週五每天會收到一個問題，用文字、照片或語音回答都可以。\n週六會送上這週的紀錄，月底與年底還有 AI 回顧。\n\n常用指令：\n/theme 選擇主題\n/history 本週紀錄\n/stats 我的統計\n/reflect 回顧一段期間\n/settings 設定',
+    HOW_TO_PLAY_FALLBACK: '每週選一個主題，週二到週五回答每天的問題，週六回顧這週的紀錄。',
+    LATER: '好的，下週一會再問你這週想關注什麼，想提早開始時輸入 /theme。',
+    LATER_FALLBACK: '好的，下週一見！',
+    START_READY: {
+      message: '好的！先選擇這週想關注的主題。',
+      buttons: [{ label: '選擇主題', data: 'action=ready' }],
+    },
+    START_READY_FALLBACK: '好的！輸入 /theme 選擇這週想關注的主題。',
+    MONDAY_WEEK1: {
+      message: '新的一週開始了！這週想關注哪一個主題呢？',
+      buttons: [{ label: '選擇主題', data: 'action=ready' }],
+    },
+    THEME_SELECT: '這週想關注哪一個主題呢？',
+    PROMPT_THEME_CHOICE: '請先選擇這週想關注的主題，輸入 /theme 就能看到所有主題。',
+    FALLBACK_GENERAL: '收到你的訊息了，輸入 /help 可以看到能做的事。',
+
+    BUTTON_START_QUESTION: '開始回答今天問題',
+    THEME_SELECT_FALLBACK: '這週想關注哪一個主題呢？',
+    THEME_NAME_SELF: '自己',
+    THEME_NAME_CREATION: '創作',
+    THEME_NAME_FAMILY: '家庭',
+    THEME_PICKER_SELECT: '選這個主題',
+    THEME_PICKER_DESCRIPTION: '這週關注「【主題】」',
+    THEME_CONFIRM_FALLBACK: '收到。\n\n這週，我們一起關注「【主題】」。',
+    THEME_NOT_FOUND: '找不到「【輸入】」這個主題，可以選擇：【選項】',
+    THEME_OPTION: '【主題】（【代碼】）',
+    QUESTIONS_START_NEXT_MONDAY: '問題將從下週一開始。',
+
+    DAILY_QUESTION: '關於 【主題】：\n\n【從問題庫隨機抽取】',
+    HEARD: {
+      message: '收到了。',
+      buttons: [{ label: '修改回答', data: 'action=edit_answer' }],
+    },
+    ANSWER_EDIT_PROMPT: '你今天的回答是：\n\n【回答】\n\n請直接傳送新的內容，會取代原本的回答。',
+    ANSWER_EDITED: '好的，已經更新今天的回答。',
+    ANSWER_APPENDED: '收到，已經補充到今天的回答。',
+    ANSWER_EDIT_CLOSED: '今天的回答已經超過可以修改的時間了。',
+    ACK_ACTIVE: '今天的問題已經回答過了，明天見！',
+    SKIP_YESTERDAY: '昨天的問題先放著沒關係，今天繼續。',
+    MEDIA_SAVE_FAILED: '你的回答已經記下來了，但照片或語音檔案沒能保存，之後匯出日記時不會有這個檔案。',
+    MEDIA_LABEL_IMAGE: '[照片]',
+    MEDIA_LABEL_AUDIO: '[語音]',
+    MEDIA_LABEL_AUDIO_DURATION: '[語音 【秒數】 秒]',
+    MEDIA_LABEL_STICKER: '[貼圖]',
+    MEDIA_LABEL_STICKER_KEYWORDS: '[貼圖：【關鍵字】]',
+    NEW_MESSAGE_ALT_TEXT: '新訊息',
+
+    CHOOSE_SLOT: '想在什麼時候收到每天的問題呢？',
+    SLOT_MORNING: '早上 9:00',
+    SLOT_LUNCH: '中午 12:00',
+    SLOT_EVENING: '晚上 8:00',
+    SLOT_SAVED: '好的，之後每天【時段】會把問題送給你。',
+
+    RICH_MENU_CHAT_BAR: '選單',
+    RICH_MENU_START: '開始',
+    RICH_MENU_HOW_TO_PLAY: '怎麼玩',
+    RICH_MENU_TODAY: '今天的問題',
+    RICH_MENU_RECORD: '本週紀錄',
+    RICH_MENU_RESUME: '恢復',
+    RICH_MENU_SETTINGS: '設定',
+
+    SETTINGS_MENU: {
+      message: '想調整哪一項設定呢？',
+      buttons: [
+        { label: '發送時段', data: 'action=choose_slot' },
+        { type: 'message', label: '暫停一下', text: '/pause' },
+        { label: '多週課程', data: 'action=programs' },
+        { label: '匯出日記', data: 'action=export' },
+      ],
+    },
+    SETTINGS_CHANGE_THEME: '換主題',
+    SETTINGS_CHANGE_LANGUAGE: '語言 / Language',
+    SETTINGS_AI_ON: '開啟 AI 總結',
+    SETTINGS_AI_OFF: '關閉 AI 總結',
+
+    LOCALE_MENU: '想使用哪一種語言呢？',
+    LOCALE_SAVED: '好的，之後會用繁體中文和你說話。',
+    LOCALE_NOT_FOUND: '目前支援的語言：【選項】',
+
+    PAUSE_MENU: {
+      message: '想休息一下嗎？暫停期間不會收到任何問題與回顧。',
+      buttons: [
+        { label: '暫停 3 天', data: 'action=pause&days=3' },
+        { label: '暫停 7 天', data: 'action=pause&days=7' },
+        { label: '這週先休息', data: 'action=pause&scope=week' },
+        { label: '不用了，繼續', data: 'action=resume' },
+      ],
+    },
+    PAUSE_PICK_DATE: '自己選日期',
+    PAUSE_DATE_OUT_OF_RANGE: '請選擇 【開始】 到 【結束】 之間的日期。',
+    PAUSE_DAYS_OUT_OF_RANGE: '暫停天數需要在 1 到 【天數】 天之間。',
+    PAUSED: '好的，【日期】 之前都不會打擾你。想提早回來時，傳「恢復」就可以了。',
+    RESUMED: '歡迎回來！問題會照常送給你。',
+
+    NO_PROGRAMS: '目前還沒有開放的課程。',
+    PROGRAM_CURRENT: '你正在進行「【課程】」第 【週次】 週（共 【總週數】 週）。\n\n',
+    PROGRAM_LIST: '【目前課程】可以參加的課程：\n【課程列表】',
+    PROGRAM_LIST_ITEM: '・【課程】（【總週數】 週）【說明】',
+    PROGRAM_LIST_DESCRIPTION: '：【說明】',
+    PROGRAM_LEAVE_PROMPT: '要退出目前的課程嗎？',
+    PROGRAM_LEAVE_BUTTON: '退出課程',
+    PROGRAM_ENROLL_PROMPT: '想參加哪一個課程？',
+    PROGRAM_NOT_FOUND: '找不到「【課程】」這個課程，輸入 /program 可以看到所有課程。',
+    PROGRAM_NOT_ENROLLED: '你目前沒有參加課程。',
+    PROGRAM_LEFT: '已經退出課程。這週的主題不變，下週一會請你重新選擇主題。',
+    PROGRAM_WEEK: '「【課程】」第 【週次】 週（共 【總週數】 週）\n\n這週，我們一起關注「【主題】」。',
+    PROGRAM_COMPLETED: '🎉 你完成了「【課程】」課程！這週可以自由選擇想關注的主題。',
+
+    AI_OPT_OUT_SAVED: '好的，之後你的紀錄都不會再送到 AI 產生總結。想重新開啟時，傳「開啟AI」就可以了。',
+    AI_OPT_IN_SAVED: '好的，已重新開啟 AI 總結。',
+    AI_REPLY_LANGUAGE: '',
+    INSIGHT_LOADING: '好的，正在為您產生 AI 總結，請稍候幾秒鐘...',
+    INSIGHT_IN_PROGRESS: 'AI 總結還在產生中，請再稍等一下。',
+    AI_OPTED_OUT: '你已經關閉 AI 總結，傳「開啟AI」就可以重新開啟。',
+    INSIGHT_QUOTA_EXCEEDED: '這週的 AI 總結已經用完 【次數】 次了，下週再來吧！',
+    INSIGHT_QUOTA_LATEST: '【額度】\n\n以下是最近一次的總結：\n\n【總結】',
+    AI_ERROR_WEEKLY: '抱歉，AI 總結功能暫時出了點問題。',
+    AI_ERROR_MONTHLY: '抱歉，月份 AI 總結功能暫時出了點問題。',
+    AI_ERROR_REFLECTION: '抱歉，回顧功能暫時出了點問題。',
+    MONTHLY_INSIGHT_TITLE: '本月回顧',
+    NO_MONTHLY_RECORDS: '這個月沒有紀錄可以分析。',
+    NO_RANGE_RECORDS: '【開始】 ~ 【結束】 之間沒有找到紀錄喔！',
+    WEEKLY_AI_PROMPT: '你是一個溫暖的夥伴，請總結使用者這週的紀錄。',
+    MONTHLY_AI_PROMPT: '你是一個溫暖的夥伴，請總結使用者這個月的紀錄。',
+    MONTHLY_WEEK_DIGEST_PROMPT: '請用三到五句話摘要使用者這一週的紀錄，保留重要的事件、情緒與反思，不要加入評論或建議。',
+    RANGE_AI_PROMPT: '你是一個溫暖的夥伴，請回顧使用者這段期間的紀錄。',
+    YEARLY_AI_PROMPT: '你是一個溫暖的夥伴，請根據使用者一整年的紀錄寫一份年度回顧。',
+    AI_REDACTION_NOTE: '（紀錄中的 [NAME_1]、[PHONE_1] 這類標記是為了保護隱私替換掉的內容，回覆時請原樣保留這些標記。）',
+    AI_MEDIA_NOTE: '（[照片]、[語音]、[貼圖] 表示我當天用照片、語音或貼圖回答）',
+    AI_PROMPT_TRUNCATED: '…（以下省略）',
+    AI_ANSWER_ENTRY: '問題：【問題】\n我的回答：【回答】',
+    AI_WEEKLY_HEADER: '這是我這週關於「【主題】」主題的紀錄：',
+    AI_MONTHLY_HEADER: '這是我這個月的紀錄，請幫我總結：',
+    AI_MONTHLY_DIGEST_HEADER: '這是我這個月每一週紀錄的摘要，請幫我總結這個月：',
+    AI_RANGE_HEADER: '這是我 【開始】 ~ 【結束】 【主題】的紀錄，請幫我回顧這段期間：',
+    AI_RANGE_DIGEST_HEADER: '這是我 【開始】 ~ 【結束】 【主題】每一週紀錄的摘要，請幫我回顧這段期間：',
+    AI_RANGE_THEME_LABEL: '關於「【主題】」',
+    AI_YEARLY_MATERIAL: '這是我 【年份】 年的回顧資料，請幫我寫一份年度回顧：\n\n各主題統計：\n【主題統計】\n\n每月回顧：\n【每月回顧】',
+    AI_YEARLY_THEME_STAT: '【主題】：回答 【回答數】 次，橫跨 【週數】 週【媒體】',
+    AI_YEARLY_THEME_STAT_MEDIA: '（其中 【次數】 次用照片、語音或貼圖）',
+    AI_YEARLY_NO_ANSWERS: '（沒有回答）',
+    AI_YEARLY_NO_MONTHLY: '（沒有每月回顧）',
+
+    REFLECT_RANGE_UNREADABLE: '看不懂「【期間】」這個期間',
+    REFLECT_RANGE_ORDER: '開始日期需要早於結束日期',
+    REFLECT_RANGE_TOO_LONG: '期間最長 【天數】 天',
+    REFLECT_USAGE: '【錯誤】。\n\n可以這樣輸入：\n/reflect 3m\n/reflect 最近2週 家庭\n/reflect 2026-01-01 2026-03-31 自己',
+    REFLECTION_LOADING: '好的，正在整理你 【期間】 【主題】的紀錄，請稍候...',
+    REFLECTION_THEME_LABEL: '「【主題】」',
+
+    STATS: '📊 你的紀錄\n\n總回答數：【總回答數】 則\n目前連續：【目前連續】 天\n最長連續：【最長連續】 天\n\n各主題完成的週數：\n【主題統計】',
+    STATS_THEME_LINE: '・【主題】：完成 【週數】 週（【回答數】 則回答）',
+    STATS_NO_ANSWERS: '・還沒有回答',
+    MILESTONE_3_DAYS: '🎉 恭喜你連續回答 3 天！謝謝你一直陪自己說說話。',
+    MILESTONE_7_DAYS: '🎉 恭喜你連續回答 7 天！謝謝你一直陪自己說說話。',
+    MILESTONE_14_DAYS: '🎉 恭喜你連續回答 14 天！謝謝你一直陪自己說說話。',
+    MILESTONE_30_DAYS: '🎉 恭喜你連續回答 30 天！謝謝你一直陪自己說說話。',
+    MILESTONE_10_ANSWERS: '🎉 恭喜你累積 10 則回答！謝謝你一直陪自己說說話。',
+    MILESTONE_50_ANSWERS: '🎉 恭喜你累積 50 則回答！謝謝你一直陪自己說說話。',
+    MILESTONE_100_ANSWERS: '🎉 恭喜你累積 100 則回答！謝謝你一直陪自己說說話。',
+    MILESTONE_4_WEEKS: '🎉 恭喜你完成 4 週！謝謝你一直陪自己說說話。',
+    MILESTONE_12_WEEKS: '🎉 恭喜你完成 12 週！謝謝你一直陪自己說說話。',
+
+    EXPORT_READY: '這是你所有的日記與每月回顧，點連結就能下載（【分鐘】 分鐘內有效）：\n\n【連結】',
+    EXPORT_UNAVAILABLE: '抱歉，目前無法匯出日記，請稍後再試。',
+    EXPORT_LINK: '【格式】：【連結】',
+    EXPORT_TITLE: '我的日記',
+    EXPORT_EXPORTED_AT: '匯出時間：【時間】',
+    EXPORT_ENTRY_HEADING: '【星期】｜【主題】',
+    EXPORT_QUESTION: '**問：** 【問題】',
+    EXPORT_MEDIA_LINK: '檔案 【編號】',
+    EXPORT_MONTHLY_HEADING: '每月回顧',
+    EXPORT_REFLECTION_HEADING: '長期回顧',
+    EXPORT_REFLECTION_THEME: '【期間】｜【主題】',
+
+    SATURDAY_START: {
+      message: '週六了！這週你關注了「【主題】」，要看看這週的紀錄嗎？',
+      buttons: [{ label: '本週紀錄', data: 'action=show_record' }],
+    },
+    SATURDAY_NO_RESPONSE: '週六了！這週「【主題】」沒有留下紀錄也沒關係，下週一再一起開始吧。',
+    // X 會換成這週回答的天數
+    SATURDAY_SHOW_RECORD: '這週你回答了 X 天，以下是你的紀錄：',
+    SATURDAY_END: '謝謝你這週的分享，下週一見！',
+
+    NO_WEEKLY_RECORDS: '看來這週你沒有留下任何紀錄喔！',
+    RECORDS_HEADER_FALLBACK: '這週的紀錄：',
+    RECORD_ENTRY: '【【星期】】\n問：【問題】\n答：【回答】',
+    DAY_MON: '週一',
+    DAY_TUE: '週二',
+    DAY_WED: '週三',
+    DAY_THU: '週四',
+    DAY_FRI: '週五',
+  },
+
+  en: {
+    LOCALE_NAME: 'English',
+    LIST_SEPARATOR: ', ',
+
+    GENERIC_ERROR: 'Sorry, something went wrong while handling your request. Please try again later.',
+    SYSTEM_BUSY: 'Sorry, the system can\'t handle your request right now. Please try again later.',
+    UNKNOWN_ACTION: 'Sorry, I didn\'t recognise that action. Please try again.',
+    UNKNOWN_THEME_CHOICE: 'Sorry, I didn\'t recognise that theme. Please choose again.',
+    UNKNOWN_SLOT: 'Sorry, I didn\'t recognise that time. Please choose again.',
+    QUESTION_SEND_FAILED: 'Sorry, something went wrong while sending the question. Please try again later.',
+
+    WELCOME_MONDAY: {
+      message: 'Welcome! Each week you pick a theme to focus on, get one question a day from Tuesday to Friday, and look back on the week together on Saturday.\n\nIt\'s Monday today. Would you like to start now?',
+      buttons: [
+        { label: 'Start now', data: 'action=start_now' },
+        { label: 'Maybe later', data: 'action=later' },
+        { label: 'How it works', data: 'action=how_to_play' },
+      ],
+    },
+    WELCOME_OTHER_DAY: {
+      message: 'Welcome! Each week you pick a theme to focus on, get one question a day from Tuesday to Friday, and look back on the week together on Saturday.\n\nI\'ll ask you to choose a theme next Monday, or you can start this week right away.',
+      buttons: [
+        { label: 'Start this week', data: 'action=start_week' },
+        { label: 'How it works', data: 'action=how_to_play' },
+      ],
+    },
+    WELCOME_FALLBACK: 'Welcome! Send /theme to choose a theme for this week.',
+    HOW_TO_PLAY: 'Each week you pick a theme to focus on. From Tuesday to Friday you get one question a day, and you can answer with text, a photo or a voice message.\nOn Saturday you get this week\'s journal, and at the end of each month and year there is an AI review.\n\nUseful commands:\n/theme choose a theme\n/history this week\'s journal\n/stats your stats\n/reflect look back on a period\n/settings settings',
+    HOW_TO_PLAY_FALLBACK: 'Pick a theme each week, answer the daily questions from Tuesday to Friday, and look back on the week on Saturday.',
+    LATER: 'OK, I\'ll ask you about this week\'s theme again next Monday. Send /theme if you want to start earlier.',
+    LATER_FALLBACK: 'OK, see you next Monday!',
+    START_READY: {
+      message: 'Great! First, choose a theme to focus on this week.',
+      buttons: [{ label: 'Choose a theme', data: 'action=ready' }],
+    },
+    START_READY_FALLBACK: 'Great! Send /theme to choose a theme for this week.',
+    MONDAY_WEEK1: {
+      message: 'A new week has started! Which theme would you like to focus on this week?',
+      buttons: [{ label: 'Choose a theme', data: 'action=ready' }],
+    },
+    THEME_SELECT: 'Which theme would you like to focus on this week?',
+    PROMPT_THEME_CHOICE: 'Please choose a theme for this week first. Send /theme to see all the themes.',
+    FALLBACK_GENERAL: 'Got your message. Send /help to see what you can do.',
+
+    BUTTON_START_QUESTION: 'Answer today\'s question',
+    THEME_SELECT_FALLBACK: 'Which theme would you like to focus on this week?',
+    THEME_NAME_SELF: 'Myself',
+    THEME_NAME_CREATION: 'Creation',
+    THEME_NAME_FAMILY: 'Family',
+    THEME_PICKER_SELECT: 'Choose this theme',
+    THEME_PICKER_DESCRIPTION: 'Focus on "【主題】" this week',
+    THEME_CONFIRM_FALLBACK: 'Got it.\n\nThis week, let\'s focus on "【主題】" together.',
+    THEME_NOT_FOUND: 'There is no theme called "【輸入】". You can choose: 【選項】',
+    THEME_OPTION: '【主題】 (【代碼】)',
+    QUESTIONS_START_NEXT_MONDAY: 'Questions will start next Monday.',
+
+    DAILY_QUESTION: 'About 【主題】:\n\n【從問題庫隨機抽取】',
+    HEARD: {
+      message: 'Got it.',
+      buttons: [{ label: 'Edit answer', data: 'action=edit_answer' }],
+    },
+    ANSWER_EDIT_PROMPT: 'Your answer today was:\n\n【回答】\n\nSend the new text and it will replace your answer.',
+    ANSWER_EDITED: 'OK, today\'s answer has been updated.',
+    ANSWER_APPENDED: 'Got it, added to today\'s answer.',
+    ANSWER_EDIT_CLOSED: 'It\'s too late to edit today\'s answer.',
+    ACK_ACTIVE: 'You\'ve already answered today\'s question. See you tomorrow!',
+    SKIP_YESTERDAY: 'No worries about yesterday\'s question, let\'s carry on today.',
+    MEDIA_SAVE_FAILED: 'Your answer has been saved, but the photo or voice file could not be stored, so it won\'t be included when you export your journal.',
+    MEDIA_LABEL_IMAGE: '[Photo]',
+    MEDIA_LABEL_AUDIO: '[Voice]',
+    MEDIA_LABEL_AUDIO_DURATION: '[Voice 【秒數】s]',
+    MEDIA_LABEL_STICKER: '[Sticker]',
+    MEDIA_LABEL_STICKER_KEYWORDS: '[Sticker: 【關鍵字】]',
+    NEW_MESSAGE_ALT_TEXT: 'New message',
+
+    CHOOSE_SLOT: 'When would you like to receive the daily question?',
+    SLOT_MORNING: 'Morning 9:00',
+    SLOT_LUNCH: 'Noon 12:00',
+    SLOT_EVENING: 'Evening 8:00',
+    SLOT_SAVED: 'OK, you\'ll get the question every day at 【時段】.',
+
+    RICH_MENU_CHAT_BAR: 'Menu',
+    RICH_MENU_START: 'Start',
+    RICH_MENU_HOW_TO_PLAY: 'How it works',
+    RICH_MENU_TODAY: 'Today\'s question',
+    RICH_MENU_RECORD: 'This week',
+    RICH_MENU_RESUME: 'Resume',
+    RICH_MENU_SETTINGS: 'Settings',
+
+    SETTINGS_MENU: {
+      message: 'What would you like to change?',
+      buttons: [
+        { label: 'Delivery time', data: 'action=choose_slot' },
+        { type: 'message', label: 'Take a break', text: '/pause' },
+        { label: 'Programs', data: 'action=programs' },
+        { label: 'Export journal', data: 'action=export' },
+      ],
+    },
+    SETTINGS_CHANGE_THEME: 'Change theme',
+    SETTINGS_CHANGE_LANGUAGE: 'Language / 語言',
+    SETTINGS_AI_ON: 'Turn on AI summary',
+    SETTINGS_AI_OFF: 'Turn off AI summary',
+
+    LOCALE_MENU: 'Which language would you like to use?',
+    LOCALE_SAVED: 'OK, I\'ll talk to you in English from now on.',
+    LOCALE_NOT_FOUND: 'Supported languages: 【選項】',
+
+    PAUSE_MENU: {
+      message: 'Need a break? You won\'t receive any questions or reviews while paused.',
+      buttons: [
+        { label: 'Pause 3 days', data: 'action=pause&days=3' },
+        { label: 'Pause 7 days', data: 'action=pause&days=7' },
+        { label: 'Skip this week', data: 'action=pause&scope=week' },
+        { label: 'No, keep going', data: 'action=resume' },
+      ],
+    },
+    PAUSE_PICK_DATE: 'Pick a date',
+    PAUSE_DATE_OUT_OF_RANGE: 'Please choose a date between 【開始】 and 【結束】.',
+    PAUSE_DAYS_OUT_OF_RANGE: 'You can pause for 1 to 【天數】 days.',
+    PAUSED: 'OK, I won\'t disturb you until 【日期】. Send /resume whenever you want to come back early.',
+    RESUMED: 'Welcome back! Questions will be sent as usual.',
+
+    NO_PROGRAMS: 'There are no programs available yet.',
+    PROGRAM_CURRENT: 'You are in week 【週次】 of "【課程】" (【總週數】 weeks).\n\n',
+    PROGRAM_LIST: '【目前課程】Available programs:\n【課程列表】',
+    PROGRAM_LIST_ITEM: '・【課程】 (【總週數】 weeks)【說明】',
+    PROGRAM_LIST_DESCRIPTION: ': 【說明】',
+    PROGRAM_LEAVE_PROMPT: 'Do you want to leave the current program?',
+    PROGRAM_LEAVE_BUTTON: 'Leave program',
+    PROGRAM_ENROLL_PROMPT: 'Which program would you like to join?',
+    PROGRAM_NOT_FOUND: 'There is no program called "【課程】". Send /program to see all programs.',
+    PROGRAM_NOT_ENROLLED: 'You are not in a program right now.',
+    PROGRAM_LEFT: 'You have left the program. This week\'s theme stays the same; next Monday I\'ll ask you to choose a new one.',
+    PROGRAM_WEEK: '"【課程】" week 【週次】 of 【總週數】\n\nThis week, let\'s focus on "【主題】" together.',
+    PROGRAM_COMPLETED: '🎉 You completed "【課程】"! This week you can pick any theme you like.',
+
+    AI_OPT_OUT_SAVED: 'OK, your journal will no longer be sent to AI for summaries. Send /ai_on whenever you want to turn it back on.',
+    AI_OPT_IN_SAVED: 'OK, AI summaries are back on.',
+    AI_REPLY_LANGUAGE: 'Please write your reply in English.',
+    INSIGHT_LOADING: 'OK, generating your AI summary. This takes a few seconds...',
+    INSIGHT_IN_PROGRESS: 'Your AI summary is still being generated. Please wait a moment.',
+    AI_OPTED_OUT: 'AI summaries are turned off. Send /ai_on to turn them back on.',
+    INSIGHT_QUOTA_EXCEEDED: 'You\'ve used all 【次數】 AI summaries for this week. Come back next week!',
+    INSIGHT_QUOTA_LATEST: '【額度】\n\nHere is your latest summary:\n\n【總結】',
+    AI_ERROR_WEEKLY: 'Sorry, the AI summary isn\'t working right now.',
+    AI_ERROR_MONTHLY: 'Sorry, the monthly AI summary isn\'t working right now.',
+    AI_ERROR_REFLECTION: 'Sorry, the review isn\'t working right now.',
+    MONTHLY_INSIGHT_TITLE: 'Monthly review',
+    NO_MONTHLY_RECORDS: 'There are no entries this month to review.',
+    NO_RANGE_RECORDS: 'No entries found between 【開始】 and 【結束】.',
+    WEEKLY_AI_PROMPT: 'You are a warm companion. Please summarise the user\'s journal for this week.',
+    MONTHLY_AI_PROMPT: 'You are a warm companion. Please summarise the user\'s journal for this month.',
+    MONTHLY_WEEK_DIGEST_PROMPT: 'Summarise the user\'s journal for this week in three to five sentences. Keep the important events, feelings and reflections, and do not add comments or advice.',
+    RANGE_AI_PROMPT: 'You are a warm companion. Please look back on the user\'s journal for this period.',
+    YEARLY_AI_PROMPT: 'You are a warm companion. Please write a yearly review based on the user\'s journal for the whole year.',
+    AI_REDACTION_NOTE: '(Markers such as [NAME_1] and [PHONE_1] replace private details. Keep these markers exactly as they are in your reply.)',
+    AI_MEDIA_NOTE: '([Photo], [Voice] and [Sticker] mean I answered with a photo, a voice message or a sticker that day)',
+    AI_PROMPT_TRUNCATED: '… (truncated)',
+    AI_ANSWER_ENTRY: 'Question: 【問題】\nMy answer: 【回答】',
+    AI_WEEKLY_HEADER: 'Here is my journal this week about "【主題】":',
+    AI_MONTHLY_HEADER: 'Here is my journal for this month. Please summarise it:',
+    AI_MONTHLY_DIGEST_HEADER: 'Here are summaries of each week of my journal this month. Please summarise the month:',
+    AI_RANGE_HEADER: 'Here is my journal from 【開始】 to 【結束】【主題】. Please help me look back on this period:',
+    AI_RANGE_DIGEST_HEADER: 'Here are weekly summaries of my journal from 【開始】 to 【結束】【主題】. Please help me look back on this period:',
+    AI_RANGE_THEME_LABEL: ' about "【主題】"',
+    AI_YEARLY_MATERIAL: 'Here is the material for my 【年份】 review. Please write a yearly review for me:\n\nThemes:\n【主題統計】\n\nMonthly reviews:\n【每月回顧】',
+    AI_YEARLY_THEME_STAT: '【主題】: 【回答數】 answers across 【週數】 weeks【媒體】',
+    AI_YEARLY_THEME_STAT_MEDIA: ' (【次數】 with a photo, voice message or sticker)',
+    AI_YEARLY_NO_ANSWERS: '(no answers)',
+    AI_YEARLY_NO_MONTHLY: '(no monthly reviews)',
+
+    REFLECT_RANGE_UNREADABLE: 'I couldn\'t understand the period "【期間】"',
+    REFLECT_RANGE_ORDER: 'The start date must be before the end date',
+    REFLECT_RANGE_TOO_LONG: 'The period can be at most 【天數】 days',
+    REFLECT_USAGE: '【錯誤】.\n\nTry one of these:\n/reflect 3m\n/reflect last 3 months of FAMILY\n/reflect 2026-01-01 2026-03-31 SELF',
+    REFLECTION_LOADING: 'OK, gathering your entries from 【期間】【主題】. Please wait...',
+    REFLECTION_THEME_LABEL: ' about "【主題】"',
+
+    STATS: '📊 Your journal\n\nTotal answers: 【總回答數】\nCurrent streak: 【目前連續】 days\nLongest streak: 【最長連續】 days\n\nWeeks completed per theme:\n【主題統計】',
+    STATS_THEME_LINE: '・【主題】: 【週數】 weeks completed (【回答數】 answers)',
+    STATS_NO_ANSWERS: '・No answers yet',
+    MILESTONE_3_DAYS: '🎉 You\'ve answered 3 days in a row! Thank you for making time for yourself.',
+    MILESTONE_7_DAYS: '🎉 You\'ve answered 7 days in a row! Thank you for making time for yourself.',
+    MILESTONE_14_DAYS: '🎉 You\'ve answered 14 days in a row! Thank you for making time for yourself.',
+    MILESTONE_30_DAYS: '🎉 You\'ve answered 30 days in a row! Thank you for making time for yourself.',
+    MILESTONE_10_ANSWERS: '🎉 You\'ve written 10 answers! Thank you for making time for yourself.',
+    MILESTONE_50_ANSWERS: '🎉 You\'ve written 50 answers! Thank you for making time for yourself.',
+    MILESTONE_100_ANSWERS: '🎉 You\'ve written 100 answers! Thank you for making time for yourself.',
+    MILESTONE_4_WEEKS: '🎉 You\'ve completed 4 weeks! Thank you for making time for yourself.',
+    MILESTONE_12_WEEKS: '🎉 You\'ve completed 12 weeks! Thank you for making time for yourself.',
+
+    EXPORT_READY: 'Here is your whole journal with the monthly reviews. Tap a link to download (valid for 【分鐘】 minutes):\n\n【連結】',
+    EXPORT_UNAVAILABLE: 'Sorry, your journal can\'t be exported right now. Please try again later.',
+    EXPORT_LINK: '【格式】: 【連結】',
+    EXPORT_TITLE: 'My journal',
+    EXPORT_EXPORTED_AT: 'Exported at: 【時間】',
+    EXPORT_ENTRY_HEADING: '【星期】 | 【主題】',
+    EXPORT_QUESTION: '**Q:** 【問題】',
+    EXPORT_MEDIA_LINK: 'File 【編號】',
+    EXPORT_MONTHLY_HEADING: 'Monthly reviews',
+    EXPORT_REFLECTION_HEADING: 'Reflections',
+    EXPORT_REFLECTION_THEME: '【期間】 | 【主題】',
+
+    SATURDAY_START: {
+      message: 'It\'s Saturday! This week you focused on "【主題】". Would you like to look back on this week\'s journal?',
+      buttons: [{ label: 'This week', data: 'action=show_record' }],
+    },
+    SATURDAY_NO_RESPONSE: 'It\'s Saturday! No entries for "【主題】" this week, and that\'s OK. Let\'s start again next Monday.',
+    // X 會換成這週回答的天數
+    SATURDAY_SHOW_RECORD: 'You answered on X days this week. Here is your journal:',
+    SATURDAY_END: 'Thank you for sharing this week. See you on Monday!',
+
+    NO_WEEKLY_RECORDS: 'Looks like you haven\'t written anything this week!',
+    RECORDS_HEADER_FALLBACK: 'This week\'s journal:',
+    RECORD_ENTRY: '[【星期】]\nQ: 【問題】\nA: 【回答】',
+    DAY_MON: 'Mon',
+    DAY_TUE: 'Tue',
+    DAY_WED: 'Wed',
+    DAY_THU: 'Thu',
+    DAY_FRI: 'Fri',
+  },
+};
+
+// 有內建文案的語系，使用者可以在 /language 選單中選擇
+const SUPPORTED_LOCALES = Object.keys(CATALOG);
+
+// 回傳 { locale, message, buttons, quickReplies }；沒有這個 MessageID 時回傳 null
+function getCatalogEntry(messageId, locale) {
+  const found = getLocaleChain(locale).find(item => CATALOG[item] && CATALOG[item][messageId] !== undefined);
+  if (!found) return null;
+  const value = CATALOG[found][messageId];
+  const entry = typeof value === 'string' ? { message: value } : value;
+  return {
+    locale: found,
+    message: entry.message,
+    buttons: entry.buttons || null,
+    quickReplies: entry.quickReplies || null,
+  };
+}
+
+// 代碼或語言名稱都可以（/language en、/language English）；不支援時回傳 null
+function findSupportedLocale(text) {
+  const value = String(text || '').trim();
+  if (!value) return null;
+  const normalized = normalizeLocale(value);
+  return SUPPORTED_LOCALES.find(locale =>
+    locale === normalized || CATALOG[locale].LOCALE_NAME.toLowerCase() === value.toLowerCase()
+  ) || SUPPORTED_LOCALES.find(locale => normalized && locale.split('-')[0] === normalized.split('-')[0]) || null;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  CATALOG,
+  normalizeLocale,
+  getLocaleChain,
+  localeRank,
+  pickLocalized,
+  formatMessage,
+  getCatalogEntry,
+  findSupportedLocale,
+};
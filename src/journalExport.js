@@ -0,0 +1,160 @@
+// ========================================
+// 日記匯出：Markdown / JSON / CSV 與簽章下載連結
+// ========================================
+// 下載連結格式：/export/:userId?format=md&expires=<毫秒時間戳>&sig=<簽章>
+// 簽章是 HMAC-SHA256(userId + expires)，過期或被竄改的連結一律拒絕。
+// Markdown 的標題與標籤依使用者語系由呼叫端傳入（MessageID 見 MARKDOWN_LABEL_IDS），主題也換成該語系的名稱；
+// JSON / CSV 保留主題代碼，方便再匯入。
+const crypto = require('crypto');
+const { formatMessage } = require('./i18n');
+
+const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+};
+
+const ANSWER_FIELDS = ['AnswerID', 'week', 'day', 'theme', 'questionId', 'question', 'answer', 'answerType', 'mediaRefs', 'mediaUrls', 'skipped', 'timestamp', 'updatedAt'];
+const INSIGHT_FIELDS = ['InsightID', 'Month', 'AIInsight', 'CreatedAt'];
+const REFLECTION_FIELDS = ['ReflectionID', 'Kind', 'RangeStart', 'RangeEnd', 'Theme', 'AIInsight', 'CreatedAt'];
+
+// toMarkdown 的 labels 各自對應的 MessageID
+const MARKDOWN_LABEL_IDS = {
+  title: 'EXPORT_TITLE',
+  exportedAt: 'EXPORT_EXPORTED_AT',
+  entryHeading: 'EXPORT_ENTRY_HEADING',
+  question: 'EXPORT_QUESTION',
+  mediaLink: 'EXPORT_MEDIA_LINK',
+  monthlyHeading: 'EXPORT_MONTHLY_HEADING',
+  reflectionHeading: 'EXPORT_REFLECTION_HEADING',
+  reflectionTheme: 'EXPORT_REFLECTION_THEME',
+};
+
+function createExportSigner(secret) {
+  if (!secret) {
+    throw new Error('Export signing secret is required');
+  }
+
+  function sign(userId, expires) {
+    return crypto.createHmac('sha256', secret).update(`${userId}|${expires}`).digest('hex');
+  }
+
+  // 回傳 { valid, reason }
+  function verify(userId, expires, sig, now = Date.now()) {
+    const expiresAt = Number(expires);
+    if (!expiresAt || !sig) {
+      return { valid: false, reason: 'Missing signature' };
+    }
+    if (expiresAt < now) {
+      return { valid: false, reason: 'Link expired' };
+    }
+    const expected = Buffer.from(sign(userId, expiresAt));
+    const actual = Buffer.from(String(sig));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { valid: false, reason: 'Invalid signature' };
+    }
+    return { valid: true, reason: '' };
+  }
+
+  function buildUrl(baseUrl, userId, format, expires) {
+    const query = new URLSearchParams({ format, expires: String(expires), sig: sign(userId, expires) });
+    return `${baseUrl.replace(/\/$/, '')}/export/${encodeURIComponent(userId)}?${query.toString()}`;
+  }
+
+  // 照片、語音的下載連結；簽章對象是「userId|ref」，驗證時用 verify(`${userId}|${ref}`, ...)
+  function buildMediaUrl(baseUrl, userId, ref, expires) {
+    const query = new URLSearchParams({ ref, expires: String(expires), sig: sign(`${userId}|${ref}`, expires) });
+    return `${baseUrl.replace(/\/$/, '')}/media/${encodeURIComponent(userId)}?${query.toString()}`;
+  }
+
+  return { sign, verify, buildUrl, buildMediaUrl };
+}
+
+function pick(row, fields) {
+  const result = {};
+  fields.forEach(field => {
+    const value = row[field];
+    result[field] = value === undefined || value === null ? '' : value;
+  });
+  return result;
+}
+
+// answers / insights / reflections 是 row.toObject() 的結果
+function buildJournal(userId, answers, insights, reflections = [], exportedAt = new Date()) {
+  const byTime = (a, b) => new Date(a.timestamp || a.CreatedAt) - new Date(b.timestamp || b.CreatedAt);
+  return {
+    userId,
+    exportedAt: exportedAt.toISOString(),
+    answers: answers.map(row => pick(row, ANSWER_FIELDS)).sort(byTime),
+    monthlyInsights: insights.map(row => pick(row, INSIGHT_FIELDS)).sort(byTime),
+    reflections: reflections.map(row => pick(row, REFLECTION_FIELDS)).sort(byTime),
+  };
+}
+
+function toJson(journal) {
+  return JSON.stringify(journal, null, 2);
+}
+
+// themeNames：{ SELF: '自己', ... }，找不到的代碼直接顯示代碼
+function toMarkdown(journal, labels, themeNames = {}) {
+  const lines = [`# ${labels.title}`, '', formatMessage(labels.exportedAt, { 時間: journal.exportedAt }), ''];
+
+  let currentWeek = null;
+  journal.answers.forEach(answer => {
+    if (answer.week !== currentWeek) {
+      currentWeek = answer.week;
+      lines.push(`## ${currentWeek}`, '');
+    }
+    lines.push(`### ${formatMessage(labels.entryHeading, { 星期: answer.day, 主題: themeNames[answer.theme] || answer.theme })}`);
+    lines.push(formatMessage(labels.question, { 問題: answer.question }), '');
+    lines.push(String(answer.answer).split('\n').map(line => `> ${line}`).join('\n'), '');
+    if (Array.isArray(answer.mediaUrls) && answer.mediaUrls.length > 0) {
+      answer.mediaUrls.forEach((url, index) => lines.push(`- [${formatMessage(labels.mediaLink, { 編號: index + 1 })}](${url})`));
+      lines.push('');
+    }
+  });
+
+  if (journal.monthlyInsights.length > 0) {
+    lines.push(`## ${labels.monthlyHeading}`, '');
+    journal.monthlyInsights.forEach(insight => {
+      lines.push(`### ${insight.Month}`, '', String(insight.AIInsight), '');
+    });
+  }
+
+  if (journal.reflections.length > 0) {
+    lines.push(`## ${labels.reflectionHeading}`, '');
+    journal.reflections.forEach(reflection => {
+      const range = `${reflection.RangeStart} ~ ${reflection.RangeEnd}`;
+      const heading = reflection.Theme ? formatMessage(labels.reflectionTheme, { 期間: range, 主題: themeNames[reflection.Theme] || reflection.Theme }) : range;
+      lines.push(`### ${heading}`, '', String(reflection.AIInsight), '');
+    });
+  }
+
+  return lines.join('\n');
+}
+
+function escapeCsv(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 回答、每月回顧與長期回顧放在同一張表，用 type 欄位區分（長期回顧的 week 欄位是期間）
+// 開頭加上 BOM，Excel 開啟中文才不會亂碼
+function toCsv(journal) {
+  const header = ['type', 'date', 'week', 'day', 'theme', 'question', 'answer', 'answerType', 'mediaRefs', 'mediaUrls'];
+  const rows = [
+    ...journal.answers.map(answer => ['answer', answer.timestamp, answer.week, answer.day, answer.theme, answer.question, answer.answer, answer.answerType, answer.mediaRefs, [].concat(answer.mediaUrls || []).join(' ')]),
+    ...journal.monthlyInsights.map(insight => ['monthly_insight', insight.CreatedAt, insight.Month, '', '', '', insight.AIInsight, '', '', '']),
+    ...journal.reflections.map(reflection => [`${reflection.Kind}_reflection`, reflection.CreatedAt, `${reflection.RangeStart}~${reflection.RangeEnd}`, '', reflection.Theme, '', reflection.AIInsight, '', '', '']),
+  ];
+  return '\uFEFF' + [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n');
+}
+
+// labels 只有 Markdown 會用到
+function renderJournal(journal, format, labels, themeNames) {
+  if (format === 'json') return toJson(journal);
+  if (format === 'csv') return toCsv(journal);
+  return toMarkdown(journal, labels, themeNames);
+}
+
+module.exports = { EXPORT_FORMATS, MARKDOWN_LABEL_IDS, createExportSigner, buildJournal, renderJournal };
@@ -0,0 +1,15 @@
+// ========================================
+// 試算表欄位裡的清單
+// ========================================
+// 指令關鍵字、題目標籤、抽題權重等欄位都用同一種寫法：
+// 逗號（半形或全形）或換行分隔，前後空白會被去掉，空的項目會被略過。
+
+// 「紀錄, 回顧，/history」或一行一個 -> ['紀錄', '回顧', '/history']
+function parseList(text) {
+  return String(text || '')
+    .split(/[,，\n]/)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+module.exports = { parseList };
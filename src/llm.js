@@ -0,0 +1,112 @@
+// ========================================
+// LLM 呼叫介面
+// ========================================
+// 所有 AI 總結都透過 complete(promptType, { system, user }) 呼叫，回傳 { text, model, usage }。
+// provider：
+//   openai     - OpenAI 官方 API（OPENAI_API_KEY）
+//   compatible - 任何相容 OpenAI Chat Completions 的端點（例如本機的 Ollama、LM Studio），需要 baseURL
+//   stub       - 不連網路、不計費，依輸入產生固定的文字，用於測試與本機開發
+// 每種 promptType（WEEKLY_AI_PROMPT、MONTHLY_AI_PROMPT）可以各自設定模型與參數：
+//   LLM_<promptType>_MODEL / LLM_<promptType>_TEMPERATURE / LLM_<promptType>_MAX_TOKENS
+// 沒有設定時使用 LLM_MODEL / LLM_TEMPERATURE / LLM_MAX_TOKENS，再沒有則用 provider 的預設值。
+const crypto = require('crypto');
+const OpenAI = require('openai');
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o',
+  compatible: 'llama3',
+  stub: 'stub',
+};
+
+function readNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function loadPromptConfig(promptType, env = process.env) {
+  return {
+    model: env[`LLM_${promptType}_MODEL`] || env.LLM_MODEL || undefined,
+    temperature: readNumber(env[`LLM_${promptType}_TEMPERATURE`] ?? env.LLM_TEMPERATURE),
+    maxTokens: readNumber(env[`LLM_${promptType}_MAX_TOKENS`] ?? env.LLM_MAX_TOKENS),
+  };
+}
+
+// openai 與 compatible 共用 OpenAI SDK；第一次呼叫時才建立，沒有 API key 也不會影響啟動
+function createOpenAiProvider({ apiKey, baseURL }) {
+  let sdk = null;
+
+  async function complete({ model, temperature, maxTokens, system, user }) {
+    if (!sdk) {
+      sdk = new OpenAI({ apiKey, baseURL });
+    }
+    const request = {
+      model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: user }
+      ],
+    };
+    if (temperature !== undefined) request.temperature = temperature;
+    if (maxTokens !== undefined) request.max_tokens = maxTokens;
+
+    const completion = await sdk.chat.completions.create(request);
+    const usage = completion.usage || {};
+    return {
+      text: completion.choices[0].message.content,
+      model: completion.model || model,
+      usage: { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 },
+    };
+  }
+
+  return { complete };
+}
+
+// 相同輸入永遠得到相同輸出；用字數粗估 token 數
+function createStubProvider() {
+  async function complete({ model, system, user, promptType }) {
+    const digest = crypto.createHash('sha256').update(`${system}\n${user}`).digest('hex').substring(0, 8);
+    const lineCount = user.split('\n').filter(line => line.trim()).length;
+    const text = `【測試用 AI 總結｜${promptType}｜${digest}】\n這段期間共有 ${lineCount} 行紀錄。謝謝你持續記錄自己的生活。`;
+    return {
+      text,
+      model,
+      usage: { promptTokens: Math.ceil((system.length + user.length) / 2), completionTokens: Math.ceil(text.length / 2) },
+    };
+  }
+
+  return { complete };
+}
+
+function createLlmClient({ provider = 'openai', apiKey, baseURL, promptConfigs = {} } = {}) {
+  let impl;
+  if (provider === 'openai') {
+    impl = createOpenAiProvider({ apiKey });
+  } else if (provider === 'compatible') {
+    if (!baseURL) {
+      throw new Error('LLM provider "compatible" requires a baseURL');
+    }
+    // 本機端點多半不檢查金鑰，但 SDK 要求一定要有值
+    impl = createOpenAiProvider({ apiKey: apiKey || 'not-needed', baseURL });
+  } else if (provider === 'stub') {
+    impl = createStubProvider();
+  } else {
+    throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+
+  function getConfig(promptType) {
+    const config = promptConfigs[promptType] || {};
+    return { ...config, model: config.model || DEFAULT_MODELS[provider] };
+  }
+
+  async function complete(promptType, { system, user }) {
+    const config = getConfig(promptType);
+    const result = await impl.complete({ ...config, system, user, promptType });
+    console.log(`[LLM] ${provider}/${result.model} ${promptType}: ${result.usage.promptTokens} prompt + ${result.usage.completionTokens} completion tokens`);
+    return result;
+  }
+
+  return { provider, complete, getConfig };
+}
+
+module.exports = { createLlmClient, loadPromptConfig };
@@ -0,0 +1,139 @@
+// ========================================
+// 訊息按鈕與 Quick Reply 的 action
+// ========================================
+// Messages 資料表的 Buttons 與 QuickReplies 欄位都是 JSON 陣列，每個元素是一個 action：
+//   { "label": "開始", "data": "action=start_now" }                             postback（沒有 type 時的預設）
+//   { "type": "uri", "label": "官網", "uri": "https://example.com" }             開啟網址（http / https / line / tel）
+//   { "type": "message", "label": "紀錄", "text": "紀錄" }                       替使用者送出一段文字（可以觸發文字指令）
+//   { "type": "datetimepicker", "label": "選日期", "data": "action=pause",
+//     "mode": "date", "initial": "2026-01-01", "min": "...", "max": "..." }      選日期 / 時間，結果放在 postback 的 params
+// Quick Reply 另外可以用 camera、cameraRoll、location，也可以加上 imageUrl（https 圖示）。
+// buildAction 盡量修正可以修正的欄位（例如截斷 label），validateAction 在送出前檢查 LINE 的限制。
+
+const MAX_LABEL = 20;
+const MAX_DATA = 300;
+const MAX_TEXT = 300;
+const MAX_URI = 1000;
+const URI_SCHEMES = /^(https?|line|tel):/i;
+const DATETIME_FORMATS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  time: /^\d{2}:\d{2}$/,
+  datetime: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/,
+};
+const QUICK_REPLY_ONLY_TYPES = ['camera', 'cameraRoll', 'location'];
+
+function truncate(value, max) {
+  return value === undefined || value === null ? value : String(value).substring(0, max);
+}
+
+// 試算表裡的設定 -> LINE action；無法使用時回傳 null
+// forQuickReply 為 true 時才接受 camera / cameraRoll / location
+function buildAction(spec, { forQuickReply = false } = {}) {
+  if (!spec || typeof spec !== 'object') return null;
+
+  const type = spec.type || 'postback';
+  const label = truncate(spec.label || '按鈕', MAX_LABEL);
+
+  if (type === 'postback') {
+    if (!spec.data) return null;
+    const action = { type, label, data: truncate(spec.data, MAX_DATA) };
+    if (spec.displayText) action.displayText = truncate(spec.displayText, MAX_TEXT);
+    return action;
+  }
+  if (type === 'uri') {
+    return spec.uri ? { type, label, uri: String(spec.uri) } : null;
+  }
+  if (type === 'message') {
+    const text = spec.text || spec.label;
+    return text ? { type, label, text: truncate(text, MAX_TEXT) } : null;
+  }
+  if (type === 'datetimepicker') {
+    if (!spec.data) return null;
+    const action = { type, label, data: truncate(spec.data, MAX_DATA), mode: spec.mode || 'date' };
+    ['initial', 'max', 'min'].forEach(key => {
+      if (spec[key]) action[key] = String(spec[key]);
+    });
+    return action;
+  }
+  if (forQuickReply && QUICK_REPLY_ONLY_TYPES.includes(type)) {
+    return { type, label };
+  }
+  return null;
+}
+
+function buildQuickReplyItem(spec) {
+  const action = buildAction(spec, { forQuickReply: true });
+  if (!action) return null;
+  const item = { type: 'action', action };
+  if (spec.imageUrl) item.imageUrl = String(spec.imageUrl);
+  return item;
+}
+
+// 不符合 LINE 規格時拋出錯誤；where 只用在錯誤訊息裡（例如 "at index 2"）
+function validateAction(action, where, { forQuickReply = false } = {}) {
+  if (!action) {
+    throw new Error(`Action ${where} is missing`);
+  }
+  const type = action.type;
+  const name = `${type ? type.charAt(0).toUpperCase() + type.slice(1) : 'Unknown'} action ${where}`;
+
+  if (!action.label || action.label.length === 0) {
+    throw new Error(`${name} has empty label`);
+  }
+  if (action.label.length > MAX_LABEL) {
+    throw new Error(`${name} label exceeds ${MAX_LABEL} characters: ${action.label.length}`);
+  }
+
+  if (type === 'postback' || type === 'datetimepicker') {
+    if (!action.data || action.data.length === 0) {
+      throw new Error(`${name} has empty data`);
+    }
+    if (action.data.length > MAX_DATA) {
+      throw new Error(`${name} data exceeds ${MAX_DATA} characters: ${action.data.length}`);
+    }
+  }
+
+  if (type === 'postback') {
+    if (action.displayText && action.displayText.length > MAX_TEXT) {
+      throw new Error(`${name} displayText exceeds ${MAX_TEXT} characters`);
+    }
+  } else if (type === 'uri') {
+    if (!action.uri || !URI_SCHEMES.test(action.uri)) {
+      throw new Error(`${name} uri must start with http, https, line or tel: ${action.uri}`);
+    }
+    if (action.uri.length > MAX_URI) {
+      throw new Error(`${name} uri exceeds ${MAX_URI} characters`);
+    }
+  } else if (type === 'message') {
+    if (!action.text || action.text.length > MAX_TEXT) {
+      throw new Error(`${name} text must be 1-${MAX_TEXT} characters`);
+    }
+  } else if (type === 'datetimepicker') {
+    const format = DATETIME_FORMATS[action.mode];
+    if (!format) {
+      throw new Error(`${name} mode must be date, time or datetime: ${action.mode}`);
+    }
+    ['initial', 'max', 'min'].forEach(key => {
+      if (action[key] && !format.test(action[key])) {
+        throw new Error(`${name} ${key} '${action[key]}' does not match mode ${action.mode}`);
+      }
+    });
+    if (action.min && action.max && action.min > action.max) {
+      throw new Error(`${name} min is later than max`);
+    }
+  } else if (!(forQuickReply && QUICK_REPLY_ONLY_TYPES.includes(type))) {
+    throw new Error(`${name} has unsupported type`);
+  }
+}
+
+function validateQuickReplyItem(item, where) {
+  if (!item || item.type !== 'action') {
+    throw new Error(`Quick reply item ${where} must be of type 'action'`);
+  }
+  if (item.imageUrl && !/^https:\/\//i.test(item.imageUrl)) {
+    throw new Error(`Quick reply item ${where} imageUrl must use https`);
+  }
+  validateAction(item.action, where, { forQuickReply: true });
+}
+
+module.exports = { buildAction, buildQuickReplyItem, validateAction, validateQuickReplyItem };
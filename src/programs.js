@@ -0,0 +1,57 @@
+// ========================================
+// 多週課程（Programs）
+// ========================================
+// Programs 資料表一列是一個課程的其中一週，同一個 ProgramID 依 Week（1 開始）排序：
+//   ProgramID    課程代碼，例如 CREATION_4W
+//   Name         顯示名稱，只需要填在其中一列（通常是第 1 週）
+//   Description  課程介紹，同上
+//   Week         第幾週
+//   Theme        這一週的主題（SELF / CREATION / FAMILY）
+//   QuestionSet  選填；只從 Questions 中 QuestionSet 相同的題目挑選，沒有符合的題目時用整個主題
+//   Message      選填；這一週開始時送出的說明
+// 報名中的使用者記錄在 Users 的 programId / programWeek / programStartedAt。
+// 純函式，不直接讀寫資料表。
+
+// rows：[{ ProgramID, Name, Description, Week, Theme, QuestionSet, Message, Active }]
+// 回傳 Map(programId -> { programId, name, description, weeks: [{ week, theme, questionSet, message }] })
+function buildPrograms(rows) {
+  const programs = new Map();
+  rows
+    .filter(row => row.Active === 'TRUE' || row.Active === true)
+    .forEach(row => {
+      const programId = String(row.ProgramID || '').trim();
+      const week = Number(row.Week);
+      if (!programId || !Number.isInteger(week) || week < 1 || !row.Theme) return;
+
+      if (!programs.has(programId)) {
+        programs.set(programId, { programId, name: '', description: '', weeks: [] });
+      }
+      const program = programs.get(programId);
+      program.name = program.name || row.Name || '';
+      program.description = program.description || row.Description || '';
+      program.weeks.push({ week, theme: row.Theme, questionSet: row.QuestionSet || '', message: row.Message || '' });
+    });
+
+  programs.forEach(program => {
+    program.weeks.sort((a, b) => a.week - b.week);
+    program.name = program.name || program.programId;
+  });
+  return programs;
+}
+
+// 第幾週（1 開始）；超過課程長度時回傳 null
+function getProgramWeek(program, weekIndex) {
+  if (!program) return null;
+  return program.weeks[Number(weekIndex) - 1] || null;
+}
+
+// 代碼或名稱都可以（/program CREATION_4W、/program 創作四週）
+function findProgram(programs, text) {
+  const value = String(text || '').trim();
+  if (!value) return null;
+  return Array.from(programs.values()).find(program =>
+    program.programId.toUpperCase() === value.toUpperCase() || program.name === value
+  ) || null;
+}
+
+module.exports = { buildPrograms, getProgramWeek, findProgram };
@@ -0,0 +1,55 @@
+// ========================================
+// Prompt 組裝與 token 估算
+// ========================================
+// 不依賴特定模型的 tokenizer，用保守的估算：中日韓文字與全形符號每字約 1 token，
+// 其他字元每 4 個約 1 token。只用來判斷是否超出預算，不需要精確。
+// 文字（截斷提示、每則回答的格式）由呼叫端依使用者語系傳入（見 src/i18n.js）。
+
+const { formatMessage } = require('./i18n');
+
+const CJK_CHAR = /[\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFF00-\uFFEF]/;
+const CJK_PATTERN = new RegExp(CJK_CHAR.source, 'g');
+
+function estimateTokens(text) {
+  const value = String(text || '');
+  const cjkCount = (value.match(CJK_PATTERN) || []).length;
+  return cjkCount + Math.ceil((value.length - cjkCount) / 4);
+}
+
+// 從頭保留到 maxTokens 為止，被截斷時在結尾換行加上 notice（AI_PROMPT_TRUNCATED）
+function truncateToTokens(text, maxTokens, notice = '…') {
+  const value = String(text || '');
+  if (estimateTokens(value) <= maxTokens) return value;
+
+  const suffix = `\n${notice}`;
+  const limit = maxTokens - estimateTokens(suffix);
+  let tokens = 0;
+  let asciiRun = 0;
+  let end = 0;
+  for (const char of value) {
+    if (CJK_CHAR.test(char)) {
+      tokens += 1;
+    } else {
+      asciiRun++;
+      if (asciiRun % 4 === 1) tokens += 1;
+    }
+    if (tokens > limit) break;
+    end += char.length;
+  }
+  return value.substring(0, end) + suffix;
+}
+
+// entries: [{ week, question, answer }]，依出現順序分組，回傳 [{ week, text }]
+// entryTemplate 是每則回答的格式（AI_ANSWER_ENTRY），變數為【問題】【回答】
+function buildWeekSections(entries, entryTemplate) {
+  const sections = new Map();
+  entries.forEach(({ week, question, answer }) => {
+    if (!sections.has(week)) {
+      sections.set(week, `--- ${week} ---\n`);
+    }
+    sections.set(week, sections.get(week) + formatMessage(entryTemplate, { 問題: question || '', 回答: answer || '' }) + '\n');
+  });
+  return Array.from(sections, ([week, text]) => ({ week, text }));
+}
+
+module.exports = { estimateTokens, truncateToTokens, buildWeekSections };
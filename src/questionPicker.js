@@ -0,0 +1,91 @@
+// ========================================
+// 每日問題的挑選
+// ========================================
+// 純函式，不直接讀寫資料表。挑選順序：
+//   1. 同主題、同一天（Day）的題目；這一天沒有題目時（例如週一）改用同主題的所有題目
+//   2. 使用者還沒回答過的題目優先，依權重隨機抽一題
+//   3. 全部回答過才開始重複，從最久以前回答的題目開始輪
+//
+// 權重（Questions 資料表的選填欄位）：
+//   Weight     基本權重，預設 1；0 表示暫時不抽
+//   Tags       逗號分隔的標籤，乘上 tagWeights 中對應的倍率（例如 QUESTION_TAG_WEIGHTS=light:2,deep:0.5）
+//   Difficulty 1 開始的難度；使用者在這個主題回答得越多，能抽到的難度越高，
+//              超過目前程度的題目權重降為 HARD_QUESTION_WEIGHT
+const { parseList } = require('./listParser');
+
+const ANSWERS_PER_LEVEL = 8;
+const HARD_QUESTION_WEIGHT = 0.25;
+
+// "light:2, deep:0.5" -> { light: 2, deep: 0.5 }
+function parseTagWeights(text) {
+  const weights = {};
+  parseList(text).forEach(entry => {
+    const [tag, value] = entry.split(':').map(part => part.trim());
+    const weight = Number(value);
+    if (tag && Number.isFinite(weight) && weight >= 0) {
+      weights[tag.toLowerCase()] = weight;
+    }
+  });
+  return weights;
+}
+
+function toNumber(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+function questionWeight(question, { tagWeights, level }) {
+  let weight = Math.max(0, toNumber(question.weight, 1));
+  parseList(question.tags).forEach(tag => {
+    const multiplier = tagWeights[tag.toLowerCase()];
+    if (multiplier !== undefined) weight *= multiplier;
+  });
+  if (toNumber(question.difficulty, 1) > level) {
+    weight *= HARD_QUESTION_WEIGHT;
+  }
+  return weight;
+}
+
+function weightedPick(candidates, weights, random) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  // 權重都是 0 時退回平均抽選
+  if (total <= 0) return candidates[Math.floor(random() * candidates.length)];
+
+  let point = random() * total;
+  for (let i = 0; i < candidates.length; i++) {
+    point -= weights[i];
+    if (point < 0) return candidates[i];
+  }
+  return candidates[candidates.length - 1];
+}
+
+// questions：同主題的題目 [{ questionId, question, day, weight, tags, difficulty }]
+// history：Map(questionId -> 最後一次回答的時間，毫秒)，只需要包含這個使用者的回答
+// 回傳 { question, reason }，沒有題目時 question 為 null
+function pickQuestion(questions, { day, history = new Map(), tagWeights = {}, random = Math.random } = {}) {
+  if (questions.length === 0) return { question: null, reason: 'empty-theme' };
+
+  const sameDay = questions.filter(question => question.day === day);
+  const pool = sameDay.length > 0 ? sameDay : questions;
+  const poolName = sameDay.length > 0 ? 'day' : 'theme';
+  // Weight 為 0 的題目除非沒有其他選擇否則不挑
+  const enabled = pool.filter(question => toNumber(question.weight, 1) > 0);
+  const candidates = enabled.length > 0 ? enabled : pool;
+
+  const unanswered = candidates.filter(question => !history.has(question.questionId));
+  if (unanswered.length > 0) {
+    const answeredInTheme = questions.filter(question => history.has(question.questionId)).length;
+    const level = 1 + Math.floor(answeredInTheme / ANSWERS_PER_LEVEL);
+    const weights = unanswered.map(question => questionWeight(question, { tagWeights, level }));
+    return { question: weightedPick(unanswered, weights, random), reason: `${poolName}-unanswered` };
+  }
+
+  // 全部回答過：挑最久以前回答的題目
+  const [oldest] = candidates
+    .slice()
+    .sort((a, b) => history.get(a.questionId) - history.get(b.questionId));
+  return { question: oldest, reason: `${poolName}-repeat` };
+}
+
+module.exports = { pickQuestion, parseTagWeights };
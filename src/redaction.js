@@ -0,0 +1,79 @@
+// ========================================
+// 送給 AI 之前的個資遮蔽
+// ========================================
+// 一次 AI 總結建立一個 session：redact() 把個資換成 [EMAIL_1]、[PHONE_2] 這類標記，
+// restore() 再把 AI 回覆中的標記換回原文。同一個值在同一個 session 內永遠對應同一個標記，
+// 所以月回顧先逐週摘要再合併時，標記仍然一致。
+//
+// 偵測方式是規則比對，寧可多遮也不要漏：
+//   EMAIL   電子郵件
+//   ID      身分證字號、居留證號（英文字母 + 1/2/8/9 + 8 碼數字）
+//   PHONE   手機與市話（09xx-xxx-xxx、+886、(02)xxxx-xxxx）
+//   ADDRESS 有「路 / 街 / 大道 ... 號」的地址
+//   NAME    常見姓氏 + 稱謂（王先生、林美玲老師）、「叫 / 名叫」後面的名字、英文全名
+// 一般的人名沒有固定格式，無法全部偵測；需要完全不送出的使用者請改用 aiOptOut。
+
+const SURNAMES = '王李張劉陳楊黃趙吳周徐孫馬朱胡郭何高林羅鄭梁謝宋唐許韓馮鄧曹彭曾蕭田董袁潘于蔣蔡余杜葉程蘇魏呂丁任沈姚盧姜崔鍾譚陸汪范金石廖賈夏韋方白鄒孟熊秦邱江尹薛閻段雷侯龍史陶黎賀顧毛郝龔邵萬錢嚴洪武賴莊簡柯游詹翁施溫涂';
+const TITLES = '先生|小姐|太太|女士|老師|醫師|醫生|教授|經理|主任|同學|律師|阿姨|叔叔';
+// 地名用字：排除「在、住、到、和」這類常出現在地址前面的字，避免把整句吃進地址
+const PLACE_CHAR = '(?:(?![在住到去於和跟與的是從])[\\u4e00-\\u9fff\\d])';
+
+// 依序比對；前面的規則先替換，後面的規則就不會再比對到同一段文字
+const RULES = [
+  { type: 'EMAIL', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  { type: 'ID', pattern: /\b[A-Z][1289]\d{8}\b/g },
+  { type: 'PHONE', pattern: /\(0\d{1,2}\)\s?\d{3,4}[-\s]?\d{4}\b/g },
+  { type: 'PHONE', pattern: /(?:\+886[-\s]?|\b0)(?:9\d{2}[-\s]?\d{3}[-\s]?\d{3}|\d{1,2}[-\s]?\d{3,4}[-\s]?\d{4})\b/g },
+  {
+    type: 'ADDRESS',
+    pattern: new RegExp(
+      `(?:${PLACE_CHAR}{2}[縣市])?(?:${PLACE_CHAR}{1,3}[區鄉鎮])?${PLACE_CHAR}{1,5}(?:路|街|大道)`
+      + '(?:[一二三四五六七八九十\\d]+段)?(?:\\d+巷)?(?:\\d+弄)?\\d+(?:之\\d+)?號(?:\\d+樓)?(?:之\\d+)?',
+      'g'
+    ),
+  },
+  { type: 'NAME', pattern: new RegExp(`[${SURNAMES}][\\u4e00-\\u9fff]{0,2}?(?=${TITLES})`, 'g') },
+  { type: 'NAME', pattern: /(?<=(?:名叫|叫做|名字是))[\u4e00-\u9fff]{2,4}/g },
+  { type: 'NAME', pattern: /\b(?:Mr|Mrs|Ms|Dr)\.?\s[A-Z][a-z]+\b|\b[A-Z][a-z]+\s[A-Z][a-z]+\b/g },
+];
+
+const PLACEHOLDER_PATTERN = /\[(EMAIL|ID|PHONE|ADDRESS|NAME)_(\d+)\]/g;
+
+function createRedactionSession() {
+  const valueToPlaceholder = new Map();
+  const placeholderToValue = new Map();
+  const counters = {};
+
+  function placeholderFor(type, value) {
+    const key = `${type}|${value}`;
+    if (!valueToPlaceholder.has(key)) {
+      counters[type] = (counters[type] || 0) + 1;
+      const placeholder = `[${type}_${counters[type]}]`;
+      valueToPlaceholder.set(key, placeholder);
+      placeholderToValue.set(placeholder, value);
+    }
+    return valueToPlaceholder.get(key);
+  }
+
+  function redact(text) {
+    let result = String(text || '');
+    RULES.forEach(({ type, pattern }) => {
+      result = result.replace(pattern, match => placeholderFor(type, match));
+    });
+    return result;
+  }
+
+  // AI 回覆中沒看過的標記原樣保留
+  function restore(text) {
+    return String(text || '').replace(PLACEHOLDER_PATTERN, match => placeholderToValue.get(match) || match);
+  }
+
+  // 只回傳各類型的數量，不回傳原文，可以安全地寫進 log
+  function getCounts() {
+    return { ...counters };
+  }
+
+  return { redact, restore, getCounts };
+}
+
+module.exports = { createRedactionSession };
@@ -0,0 +1,129 @@
+// ========================================
+// 長期回顧：期間解析與主題統計
+// ========================================
+// 給年度回顧與 /reflect 指令共用的純函式，不直接讀寫資料表。
+//
+// /reflect 可接受的寫法（主題可以放在任何位置，用代碼或中文名稱）：
+//   /reflect                       最近 3 個月
+//   /reflect 3m FAMILY             最近 3 個月的「家庭」
+//   /reflect 最近2週 自己          也接受中文單位：天 / 週 / 個月 / 年
+//   /reflect last 6 months
+//   /reflect last 3 months of FAMILY   英文的連接詞（of / the / about）會被略過
+//   /reflect 2026-01-01 2026-03-31 創作
+const { addDays } = require('./time');
+const { formatMessage } = require('./i18n');
+
+const DEFAULT_RANGE = { amount: 3, unit: 'm' };
+const MAX_RANGE_DAYS = 366;
+
+// 期間與主題之間的連接詞，例如 last 3 months of FAMILY
+const CONNECTOR_WORDS = ['of', 'the', 'about', 'on', 'for'];
+
+const UNIT_ALIASES = {
+  d: ['d', 'day', 'days', '天', '日'],
+  w: ['w', 'week', 'weeks', '週', '周', '星期'],
+  m: ['m', 'month', 'months', '個月', '月'],
+  y: ['y', 'year', 'years', '年'],
+};
+
+function daysBetween(start, end) {
+  return Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000);
+}
+
+// 往回推 n 個月的同一天（沒有這一天時取該月最後一天）
+function subtractMonths(dateString, months) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 - months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().substring(0, 10);
+}
+
+// 「最近 N 單位」包含今天，例如今天 10/19、最近 7 天 = 10/13 ~ 10/19
+function resolveRelativeStart(today, amount, unit) {
+  if (unit === 'd') return addDays(today, -(amount - 1));
+  if (unit === 'w') return addDays(today, -(amount * 7 - 1));
+  if (unit === 'm') return addDays(subtractMonths(today, amount), 1);
+  return addDays(subtractMonths(today, amount * 12), 1);
+}
+
+function findUnit(text) {
+  return Object.keys(UNIT_ALIASES).find(unit => UNIT_ALIASES[unit].includes(text));
+}
+
+// themeMap：{ SELF: '自己', ... }
+// 回傳 { start, end, theme }（日期為 YYYY-MM-DD，theme 可能為 null）；無法解析時回傳 { error, errorVars }
+// error 是 src/i18n.js 的訊息代碼，errorVars 是代入訊息的變數
+function parseReflectionRange(args, today, themeMap = {}) {
+  let theme = null;
+  const rest = [];
+
+  String(args || '').trim().split(/\s+/).filter(Boolean).forEach(token => {
+    const code = Object.keys(themeMap).find(key => key === token.toUpperCase() || themeMap[key] === token);
+    if (code) {
+      theme = code;
+    } else if (!CONNECTOR_WORDS.includes(token.toLowerCase())) {
+      rest.push(token);
+    }
+  });
+
+  const dates = rest.filter(token => /^\d{4}-\d{2}-\d{2}$/.test(token));
+  let start;
+  let end = today;
+
+  if (dates.length === 2) {
+    [start, end] = dates;
+  } else if (rest.length === 0) {
+    start = resolveRelativeStart(today, DEFAULT_RANGE.amount, DEFAULT_RANGE.unit);
+  } else {
+    const text = rest.join('').toLowerCase().replace(/^(last|最近|過去)/, '');
+    const match = text.match(/^(\d+)(.+)$/);
+    const unit = match && findUnit(match[2]);
+    const amount = match ? Number(match[1]) : 0;
+    if (!unit || amount < 1) {
+      return { error: 'REFLECT_RANGE_UNREADABLE', errorVars: { 期間: rest.join(' ') } };
+    }
+    start = resolveRelativeStart(today, amount, unit);
+  }
+
+  if (Number.isNaN(Date.parse(start)) || Number.isNaN(Date.parse(end)) || start > end) {
+    return { error: 'REFLECT_RANGE_ORDER' };
+  }
+  if (daysBetween(start, end) + 1 > MAX_RANGE_DAYS) {
+    return { error: 'REFLECT_RANGE_TOO_LONG', errorVars: { 天數: MAX_RANGE_DAYS } };
+  }
+  return { start, end, theme };
+}
+
+// entries：[{ theme, week, answerType }]，回傳依回答次數排序的 [{ theme, answers, weeks, media }]
+function buildThemeStats(entries) {
+  const stats = new Map();
+  entries.forEach(({ theme, week, answerType }) => {
+    const key = theme || 'UNKNOWN';
+    if (!stats.has(key)) {
+      stats.set(key, { theme: key, answers: 0, weeks: new Set(), media: 0 });
+    }
+    const stat = stats.get(key);
+    stat.answers++;
+    stat.weeks.add(week);
+    if (answerType && answerType !== 'text') stat.media++;
+  });
+  return Array.from(stats.values())
+    .map(stat => ({ ...stat, weeks: stat.weeks.size }))
+    .sort((a, b) => b.answers - a.answers);
+}
+
+// templates：{ line, media }，即 AI_YEARLY_THEME_STAT 與 AI_YEARLY_THEME_STAT_MEDIA
+function formatThemeStats(stats, themeMap = {}, templates) {
+  return stats.map(stat => {
+    const media = stat.media > 0 ? formatMessage(templates.media, { 次數: stat.media }) : '';
+    return formatMessage(templates.line, {
+      主題: themeMap[stat.theme] || stat.theme,
+      回答數: stat.answers,
+      週數: stat.weeks,
+      媒體: media,
+    });
+  }).join('\n');
+}
+
+module.exports = { parseReflectionRange, buildThemeStats, formatThemeStats, MAX_RANGE_DAYS };
@@ -0,0 +1,251 @@
+// ========================================
+// Rich Menu（聊天室下方的固定選單）
+// ========================================
+// 依使用者目前的狀態切換三組選單：
+//   onboarding  還沒選主題（new / idle / waiting_monday / waiting_theme）：開始、怎麼玩、設定
+//   active      這週進行中：今天的問題、本週紀錄、設定
+//   paused      暫停中（pausedUntil）：恢復、本週紀錄、設定
+// inactive（封鎖或刪除好友）不切換選單。
+//
+// 每個語系各部署一組選單，按鈕文字與 chatBarText 來自 src/i18n.js 的 RICH_MENU_*（Messages 資料表可以覆蓋），
+// 按鈕都是 postback，不會用使用者的語言送出文字。
+// 選單圖片放在 RICH_MENU_IMAGE_DIR，檔名是選單代碼（onboarding.png / active.jpg ...），
+// 預設語系的圖片放在資料夾最上層，其他語系放在語系代碼的子資料夾（en/onboarding.png ...），
+// 尺寸 2500x843，由左到右三等分對應三個按鈕。沒有圖片的語系使用預設語系的選單。
+// 部署後的 richMenuId 記在 RichMenus 資料表（MenuKey / Locale / RichMenuID / Name / DeployedAt），
+// 使用者目前連結的選單記在 Users 的 richMenu 與 richMenuLocale 欄位，選單沒有改變時不會重複呼叫 LINE API。
+const fs = require('fs');
+const path = require('path');
+const { STATES, normalizeStatus } = require('./userStateMachine');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, getLocaleChain } = require('./i18n');
+
+const RICH_MENU_TABLE = 'RichMenus';
+
+const MENU_KEYS = {
+  ONBOARDING: 'onboarding',
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+};
+
+const ONBOARDING_STATES = [STATES.NEW, STATES.IDLE, STATES.WAITING_MONDAY, STATES.WAITING_THEME];
+
+// LINE 限制：一次最多連結 500 位使用者
+const LINK_CHUNK_SIZE = 500;
+const MENU_WIDTH = 2500;
+const MENU_HEIGHT = 843;
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
+
+// labelId 是按鈕文字的 MessageID，同時當作 displayText
+const settingsAction = { labelId: 'RICH_MENU_SETTINGS', data: 'action=settings' };
+const recordAction = { labelId: 'RICH_MENU_RECORD', data: 'action=history' };
+
+const MENU_ACTIONS = {
+  [MENU_KEYS.ONBOARDING]: [
+    { labelId: 'RICH_MENU_START', data: 'action=start_now' },
+    { labelId: 'RICH_MENU_HOW_TO_PLAY', data: 'action=how_to_play' },
+    settingsAction,
+  ],
+  [MENU_KEYS.ACTIVE]: [
+    { labelId: 'RICH_MENU_TODAY', data: 'action=start_question' },
+    recordAction,
+    settingsAction,
+  ],
+  [MENU_KEYS.PAUSED]: [
+    { labelId: 'RICH_MENU_RESUME', data: 'action=resume' },
+    recordAction,
+    settingsAction,
+  ],
+};
+
+const CHAT_BAR_TEXT_ID = 'RICH_MENU_CHAT_BAR';
+
+// status 是 Users 的 status 欄位；回傳選單代碼，不需要切換選單時回傳 null
+function getMenuKey(status, { paused = false } = {}) {
+  const state = normalizeStatus(status);
+  if (state === STATES.INACTIVE) return null;
+  if (paused) return MENU_KEYS.PAUSED;
+  return ONBOARDING_STATES.includes(state) ? MENU_KEYS.ONBOARDING : MENU_KEYS.ACTIVE;
+}
+
+// 選單會用到的所有 MessageID，部署前由呼叫端依語系取得文字
+const TEXT_IDS = [CHAT_BAR_TEXT_ID, ...new Set(Object.values(MENU_ACTIONS).flat().map(action => action.labelId))];
+
+function getMenuName(key, locale) {
+  return locale === DEFAULT_LOCALE ? `liminote-${key}` : `liminote-${key}-${locale}`;
+}
+
+// texts：{ MessageID: 文字 }，即 TEXT_IDS 在該語系的文字
+// 動作由左到右平均分配寬度，最後一格補上除不盡的像素
+function buildMenuDefinition(key, locale, texts) {
+  const actions = MENU_ACTIONS[key];
+  const width = Math.floor(MENU_WIDTH / actions.length);
+  return {
+    size: { width: MENU_WIDTH, height: MENU_HEIGHT },
+    selected: key !== MENU_KEYS.ONBOARDING,
+    name: getMenuName(key, locale),
+    chatBarText: texts[CHAT_BAR_TEXT_ID],
+    areas: actions.map((action, index) => ({
+      bounds: {
+        x: index * width,
+        y: 0,
+        width: index === actions.length - 1 ? MENU_WIDTH - index * width : width,
+        height: MENU_HEIGHT,
+      },
+      action: { type: 'postback', label: texts[action.labelId], data: action.data, displayText: texts[action.labelId] },
+    })),
+  };
+}
+
+// 依語系鏈（en-US -> en -> 預設語系）挑選已部署的選單，回傳 { richMenuId, locale } 或 null
+function pickMenu(menus, key, locale) {
+  const found = getLocaleChain(locale).find(item => menus[item] && menus[item][key]);
+  return found ? { richMenuId: menus[found][key].richMenuId, locale: found } : null;
+}
+
+// getText(messageId, locale)：取得選單文字（index.js 的 getText，資料表優先、內建文案備用）
+function createRichMenuManager({ client, storage, imageDir, getText }) {
+  async function readImage(key, locale) {
+    const dir = locale === DEFAULT_LOCALE ? imageDir : path.join(imageDir, locale);
+    for (const ext of Object.keys(IMAGE_TYPES)) {
+      const filePath = path.join(dir, key + ext);
+      try {
+        return { buffer: await fs.promises.readFile(filePath), contentType: IMAGE_TYPES[ext] };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return null;
+  }
+
+  async function getTexts(locale) {
+    const texts = {};
+    for (const id of TEXT_IDS) {
+      texts[id] = await getText(id, locale);
+    }
+    return texts;
+  }
+
+  // { 'zh-TW': { onboarding: { richMenuId, row }, ... }, en: { ... } }；Locale 留空的舊資料視為預設語系
+  async function loadDeployedMenus() {
+    const table = await storage.getTable(RICH_MENU_TABLE);
+    const menus = {};
+    if (!table) return menus;
+    (await table.getRows()).forEach(row => {
+      if (row.get('MenuKey') && row.get('RichMenuID')) {
+        const locale = row.get('Locale') || DEFAULT_LOCALE;
+        menus[locale] = menus[locale] || {};
+        menus[locale][row.get('MenuKey')] = { richMenuId: row.get('RichMenuID'), row };
+      }
+    });
+    return menus;
+  }
+
+  // current：使用者目前連結的 { key, locale }（Users 的 richMenu / richMenuLocale）
+  // 連結到新的選單時回傳該選單的語系；選單沒有改變或還沒部署時回傳 null，使用者維持原本的選單
+  async function linkUser(userId, key, locale, current = {}) {
+    if (!key) return null;
+    const target = pickMenu(await loadDeployedMenus(), key, locale);
+    if (!target || (current.key === key && current.locale === target.locale)) return null;
+    await client.linkRichMenuToUser(userId, target.richMenuId);
+    return target.locale;
+  }
+
+  async function linkUsers(userIds, richMenuId) {
+    for (let i = 0; i < userIds.length; i += LINK_CHUNK_SIZE) {
+      await client.linkRichMenuToMultipleUsers(richMenuId, userIds.slice(i, i + LINK_CHUNK_SIZE));
+    }
+  }
+
+  // 建立新選單並上傳圖片 -> 更新 RichMenus -> 設定預設語系的 onboarding 為預設選單 -> 重新連結使用者 -> 刪除舊選單
+  // assignments：[{ userId, key, locale }]，重新連結的對象；舊選單要等使用者都連到新選單後才刪除
+  // 某個選單缺少圖片或建立失敗時保留舊版本，其他選單照常部署
+  // 回傳的 links 是每位使用者實際連結的 { userId, key, locale }，由呼叫端寫回 Users
+  async function deploy({ assignments = [] } = {}) {
+    const previous = await loadDeployedMenus();
+    const table = await storage.ensureTable(RICH_MENU_TABLE);
+    const results = [];
+    const replaced = [];
+
+    for (const locale of SUPPORTED_LOCALES) {
+      const texts = await getTexts(locale);
+      for (const key of Object.values(MENU_KEYS)) {
+        const image = await readImage(key, locale);
+        if (!image) {
+          console.warn(`[RichMenus] No image for '${key}' (${locale}) in ${imageDir}, keeping the current menu`);
+          results.push({ key, locale, deployed: false, error: 'Image not found' });
+          continue;
+        }
+
+        let richMenuId;
+        try {
+          const definition = buildMenuDefinition(key, locale, texts);
+          richMenuId = await client.createRichMenu(definition);
+          await client.setRichMenuImage(richMenuId, image.buffer, image.contentType);
+        } catch (error) {
+          console.error(`[RichMenus] Failed to deploy '${key}' (${locale}):`, error.message);
+          if (richMenuId) {
+            await client.deleteRichMenu(richMenuId).catch(() => {});
+          }
+          results.push({ key, locale, deployed: false, error: error.message });
+          continue;
+        }
+
+        const now = new Date();
+        const existing = previous[locale] && previous[locale][key];
+        if (existing) {
+          replaced.push(existing.richMenuId);
+          existing.row.set('RichMenuID', richMenuId);
+          existing.row.set('Locale', locale);
+          existing.row.set('Name', getMenuName(key, locale));
+          existing.row.set('DeployedAt', now);
+          await existing.row.save();
+        } else {
+          await table.addRow({ MenuKey: key, Locale: locale, RichMenuID: richMenuId, Name: getMenuName(key, locale), DeployedAt: now });
+        }
+        console.log(`[RichMenus] Deployed '${key}' (${locale}) as ${richMenuId}`);
+        results.push({ key, locale, deployed: true, richMenuId });
+      }
+    }
+
+    const current = await loadDeployedMenus();
+    const defaultMenu = pickMenu(current, MENU_KEYS.ONBOARDING, DEFAULT_LOCALE);
+    if (defaultMenu) {
+      await client.setDefaultRichMenu(defaultMenu.richMenuId);
+    }
+
+    // 依實際挑到的選單分組，一次連結同一個選單的使用者
+    const groups = new Map();
+    const links = [];
+    assignments.forEach(({ userId, key, locale }) => {
+      const target = pickMenu(current, key, locale);
+      if (!target) return;
+      if (!groups.has(target.richMenuId)) groups.set(target.richMenuId, []);
+      groups.get(target.richMenuId).push(userId);
+      links.push({ userId, key, locale: target.locale });
+    });
+
+    for (const [richMenuId, userIds] of groups) {
+      await linkUsers(userIds, richMenuId);
+    }
+    const linked = {};
+    links.forEach(({ key, locale }) => {
+      const name = getMenuName(key, locale);
+      linked[name] = (linked[name] || 0) + 1;
+    });
+
+    for (const richMenuId of replaced) {
+      try {
+        await client.deleteRichMenu(richMenuId);
+      } catch (error) {
+        // 舊選單已經被手動刪除時不影響部署結果
+        console.warn(`[RichMenus] Failed to delete old menu ${richMenuId}:`, error.message);
+      }
+    }
+
+    return { menus: results, linked, links, deleted: replaced.length };
+  }
+
+  return { linkUser, deploy };
+}
+
+module.exports = { createRichMenuManager, getMenuKey, buildMenuDefinition, MENU_KEYS, RICH_MENU_TABLE };
@@ -0,0 +1,57 @@
+// ========================================
+// 排程執行紀錄（Run Ledger）
+// ========================================
+// 每個排程工作對每位使用者的結果都寫一列到 RunLedger 資料表：
+//   Job（工作名稱）/ TargetDate（目標日期、週次或月份）/ UserID / Outcome / Detail
+// 同一個 Job + TargetDate 已經成功送達（Outcome = sent）的使用者，重複觸發時會被跳過，
+// 避免 node-cron 與 cron-job.org 重複執行、或外部 CRON 重試時重複推播。
+
+const LEDGER_TABLE = 'RunLedger';
+
+const JOBS = {
+  MONDAY_THEME: 'monday-theme',
+  DAILY_QUESTION: 'daily-question',
+  SATURDAY_REVIEW: 'saturday-review',
+  MONTHLY_REVIEW: 'monthly-review',
+  YEARLY_REVIEW: 'yearly-review',
+};
+
+const OUTCOMES = {
+  SENT: 'sent',
+  ERROR: 'error',
+};
+
+function ledgerKey(job, targetDate, userId) {
+  return `${job}|${targetDate}|${userId}`;
+}
+
+function createRunLedger(storage) {
+  async function hasServed(job, targetDate, userId) {
+    const table = await storage.ensureTable(LEDGER_TABLE);
+    const rows = await table.findBy('key', ledgerKey(job, targetDate, userId));
+    return rows.some(row => row.get('Outcome') === OUTCOMES.SENT);
+  }
+
+  async function record(job, targetDate, userId, outcome, detail = '') {
+    try {
+      const table = await storage.ensureTable(LEDGER_TABLE);
+      const now = new Date();
+      await table.addRow({
+        RunID: 'R' + now.getTime() + Math.floor(Math.random() * 1000),
+        Job: job,
+        TargetDate: targetDate,
+        UserID: userId,
+        Outcome: outcome,
+        Detail: String(detail || '').substring(0, 500),
+        CreatedAt: now,
+      });
+    } catch (error) {
+      // 紀錄失敗不應中斷發送流程，但要留下足夠的 log 讓人工補登
+      console.error(`[RunLedger] Failed to record ${job}/${targetDate} for user ${userId} (${outcome}):`, error.message);
+    }
+  }
+
+  return { hasServed, record };
+}
+
+module.exports = { createRunLedger, ledgerKey, JOBS, OUTCOMES, LEDGER_TABLE };
@@ -0,0 +1,93 @@
+// ========================================
+// 參與統計與里程碑
+// ========================================
+// 純函式，不直接讀寫資料表；回答的日期要先換算成使用者時區的 YYYY-MM-DD。
+//
+// 連續天數只看「有發問的日子」：
+//   - 有回答的日子 +1（週一補答、週末回答也算）
+//   - 有發問卻沒有回答的日子中斷連續；今天還沒回答不算中斷
+//   - 沒有發問的日子（週一、週末）跳過，不影響連續
+// 一週的回答天數達到 completeWeekDays 才算「完成一週」。
+const { addDays, DAY_STRINGS } = require('./time');
+
+// metric 對應 computeStats 回傳的欄位；訊息內容在 Messages 資料表以 id 設定，內建文案在 src/i18n.js
+const MILESTONES = [
+  { id: 'MILESTONE_3_DAYS', metric: 'currentStreak', threshold: 3 },
+  { id: 'MILESTONE_7_DAYS', metric: 'currentStreak', threshold: 7 },
+  { id: 'MILESTONE_14_DAYS', metric: 'currentStreak', threshold: 14 },
+  { id: 'MILESTONE_30_DAYS', metric: 'currentStreak', threshold: 30 },
+  { id: 'MILESTONE_10_ANSWERS', metric: 'totalAnswers', threshold: 10 },
+  { id: 'MILESTONE_50_ANSWERS', metric: 'totalAnswers', threshold: 50 },
+  { id: 'MILESTONE_100_ANSWERS', metric: 'totalAnswers', threshold: 100 },
+  { id: 'MILESTONE_4_WEEKS', metric: 'weeksCompleted', threshold: 4 },
+  { id: 'MILESTONE_12_WEEKS', metric: 'weeksCompleted', threshold: 12 },
+];
+
+function dayOfWeek(dateString) {
+  return DAY_STRINGS[new Date(`${dateString}T00:00:00Z`).getUTCDay()];
+}
+
+function computeStreaks(answeredDates, today, questionDays) {
+  if (answeredDates.size === 0) return { currentStreak: 0, longestStreak: 0 };
+
+  const first = Array.from(answeredDates).sort()[0];
+  let current = 0;
+  let longest = 0;
+  for (let date = first; date <= today; date = addDays(date, 1)) {
+    if (answeredDates.has(date)) {
+      current++;
+      longest = Math.max(longest, current);
+    } else if (questionDays.includes(dayOfWeek(date)) && date !== today) {
+      current = 0;
+    }
+  }
+  return { currentStreak: current, longestStreak: longest };
+}
+
+// answers：[{ date, week, theme, skipped }]
+// 回傳 { totalAnswers, currentStreak, longestStreak, weeksCompleted, themes: [{ theme, weeks, weeksCompleted, answers }] }
+function computeStats(answers, { today, questionDays = ['TUE', 'WED', 'THU', 'FRI'], completeWeekDays = questionDays.length } = {}) {
+  const answered = answers.filter(answer => !answer.skipped);
+  const answeredDates = new Set(answered.map(answer => answer.date));
+
+  // theme -> week -> 有回答的日期
+  const themeWeeks = new Map();
+  answered.forEach(({ theme, week, date }) => {
+    const key = theme || 'UNKNOWN';
+    if (!themeWeeks.has(key)) themeWeeks.set(key, { answers: 0, weeks: new Map() });
+    const entry = themeWeeks.get(key);
+    entry.answers++;
+    if (!entry.weeks.has(week)) entry.weeks.set(week, new Set());
+    entry.weeks.get(week).add(date);
+  });
+
+  const themes = Array.from(themeWeeks, ([theme, entry]) => ({
+    theme,
+    answers: entry.answers,
+    weeks: entry.weeks.size,
+    weeksCompleted: Array.from(entry.weeks.values()).filter(dates => dates.size >= completeWeekDays).length,
+  })).sort((a, b) => b.weeksCompleted - a.weeksCompleted || b.answers - a.answers);
+
+  return {
+    totalAnswers: answered.length,
+    ...computeStreaks(answeredDates, today, questionDays),
+    weeksCompleted: themes.reduce((sum, theme) => sum + theme.weeksCompleted, 0),
+    themes,
+  };
+}
+
+// 每個里程碑只發一次：awarded 是已經發過的代碼（Users.milestones），還沒有任何紀錄時為空陣列
+// 回傳 { earned, awarded }：earned 是這次要發送的里程碑，awarded 是要存回 Users 的完整清單
+// 連續天數中斷後再次達到門檻不會重發。沒有紀錄時只發送「剛好達到門檻」的里程碑，
+// 之前就已經超過的直接記為發過，欄位加上之前的使用者不會一次收到全部
+function findNewMilestones(stats, awarded = []) {
+  const reached = MILESTONES.filter(({ metric, threshold }) => stats[metric] >= threshold);
+  const earned = reached.filter(({ id, metric, threshold }) =>
+    (awarded.length > 0 ? !awarded.includes(id) : stats[metric] === threshold));
+  return {
+    earned,
+    awarded: Array.from(new Set([...awarded, ...reached.map(({ id }) => id)])),
+  };
+}
+
+module.exports = { MILESTONES, computeStats, findNewMilestones };
@@ -0,0 +1,146 @@
+// ========================================
+// 資料列快取（包在任何儲存實作外面）
+// ========================================
+// 設定了快取的資料表，getRows() 在 TTL 內只會讀取一次，並建立索引供 findBy() 查詢。
+// 透過快取寫入（addRow / row.save / row.delete）會同步更新快取內容與索引；
+// 其他進程（例如另一個 Serverless 實例）寫入的資料要等 TTL 到期或呼叫 invalidate() 才看得到。
+//
+// 設定格式：
+//   { Messages: { ttl: 300000, indexes: { id: row => row.get('MessageID') } } }
+
+function createCachedStorage(storage, tableConfigs = {}) {
+  const entries = new Map(); // tableName -> { rows, indexes, loadedAt }
+  const inflight = new Map(); // tableName -> Promise<entry>
+  const stats = { hits: 0, misses: 0 };
+
+  function buildIndexes(config, rows) {
+    const indexes = {};
+    Object.keys(config.indexes || {}).forEach(indexName => {
+      const keyFn = config.indexes[indexName];
+      const index = new Map();
+      rows.forEach(row => {
+        const key = keyFn(row);
+        if (key === undefined || key === null || key === '') return;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(row);
+      });
+      indexes[indexName] = index;
+    });
+    return indexes;
+  }
+
+  function reindex(name) {
+    const entry = entries.get(name);
+    if (entry) {
+      entry.indexes = buildIndexes(tableConfigs[name], entry.rows);
+    }
+  }
+
+  function invalidate(name) {
+    if (name) {
+      entries.delete(name);
+    } else {
+      entries.clear();
+    }
+  }
+
+  // 包一層資料列：寫入後同步更新快取
+  function wrapRow(name, row) {
+    return {
+      get: (key) => row.get(key),
+      set: (key, value) => row.set(key, value),
+      assign: (values) => Object.keys(values).forEach(key => row.set(key, values[key])),
+      toObject: () => row.toObject(),
+      save: async (...args) => {
+        await row.save(...args);
+        // 資料列本身已經是最新的，只需要重建索引（索引欄位可能被改了）
+        reindex(name);
+      },
+      delete: async (...args) => {
+        const result = await row.delete(...args);
+        // 刪除會讓 Sheets 的列號位移，直接整張重新讀取
+        invalidate(name);
+        return result;
+      },
+    };
+  }
+
+  async function loadEntry(name, table) {
+    const config = tableConfigs[name];
+    const cached = entries.get(name);
+    if (cached && Date.now() - cached.loadedAt < config.ttl) {
+      stats.hits++;
+      return cached;
+    }
+    if (inflight.has(name)) {
+      return inflight.get(name);
+    }
+
+    stats.misses++;
+    const promise = table.getRows()
+      .then(rawRows => {
+        const rows = rawRows.map(row => wrapRow(name, row));
+        const entry = { rows, indexes: buildIndexes(config, rows), loadedAt: Date.now() };
+        entries.set(name, entry);
+        console.log(`[Cache] Loaded ${rows.length} rows from '${name}'`);
+        return entry;
+      })
+      .finally(() => inflight.delete(name));
+    inflight.set(name, promise);
+    return promise;
+  }
+
+  function wrapTable(name, table) {
+    return {
+      name: table.name,
+      getRows: async () => (await loadEntry(name, table)).rows,
+      // 以索引查詢，回傳符合的資料列陣列（保持原本的列順序）
+      findBy: async (indexName, key) => {
+        const entry = await loadEntry(name, table);
+        const index = entry.indexes[indexName];
+        if (!index) {
+          throw new Error(`Index '${indexName}' is not defined for table '${name}'`);
+        }
+        return index.get(key) || [];
+      },
+      addRow: async (values) => {
+        const row = wrapRow(name, await table.addRow(values));
+        const entry = entries.get(name);
+        if (entry) {
+          entry.rows.push(row);
+          reindex(name);
+        }
+        return row;
+      },
+    };
+  }
+
+  async function getTable(name) {
+    const table = await storage.getTable(name);
+    if (!table || !tableConfigs[name]) return table;
+    return wrapTable(name, table);
+  }
+
+  async function ensureTable(name) {
+    const table = await storage.ensureTable(name);
+    if (!tableConfigs[name]) return table;
+    return wrapTable(name, table);
+  }
+
+  return {
+    ...storage,
+    getTable,
+    ensureTable,
+    invalidate,
+    getCacheStats: () => ({
+      ...stats,
+      tables: Array.from(entries.keys()).map(name => ({
+        name,
+        rows: entries.get(name).rows.length,
+        ageMs: Date.now() - entries.get(name).loadedAt,
+      })),
+    }),
+  };
+}
+
+module.exports = { createCachedStorage };
@@ -0,0 +1,26 @@
+// ========================================
+// 儲存層入口
+// ========================================
+// 兩種實作提供相同介面：
+//   load() / isLoaded() / getTitle()
+//   getTable(name)    -> 資料表不存在時回傳 null
+//   ensureTable(name) -> 資料表不存在時依 schema 建立
+// 資料表提供 getRows() / addRow(values)，資料列提供 get / set / save / toObject / delete。
+// 外面再包一層 createCachedStorage 時，設定了快取的資料表另外提供 findBy(indexName, key)。
+const { createSheetsStorage } = require('./sheets');
+const { createLocalStorage } = require('./local');
+const { createCachedStorage } = require('./cache');
+const { TABLE_COLUMNS } = require('./schema');
+
+function createStorage(options) {
+  const backend = options.backend || 'sheets';
+  if (backend === 'sheets') {
+    return createSheetsStorage(options);
+  }
+  if (backend === 'local') {
+    return createLocalStorage(options);
+  }
+  throw new Error(`Unknown storage backend: ${backend}`);
+}
+
+module.exports = { createStorage, createCachedStorage, createSheetsStorage, createLocalStorage, TABLE_COLUMNS };
@@ -0,0 +1,110 @@
+// ========================================
+// 本機 JSON 檔案儲存實作（離線開發、測試用）
+// ========================================
+// 檔案格式：{ "tables": { "Users": [ { "userId": "...", ... } ], ... } }
+// 沒有指定 filePath 時只存在記憶體中。
+const fs = require('fs');
+const path = require('path');
+const { TABLE_COLUMNS, getTableColumns } = require('./schema');
+
+// 與 Sheets 一致：日期一律存成 ISO 字串
+function normalizeValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined) return '';
+  return value;
+}
+
+function createLocalStorage({ filePath = null, title = 'local' } = {}) {
+  let data = null;
+  let writeChain = Promise.resolve();
+
+  function emptyData() {
+    const tables = {};
+    Object.keys(TABLE_COLUMNS).forEach(name => { tables[name] = []; });
+    return { tables };
+  }
+
+  async function load() {
+    if (data) return true;
+    if (filePath && fs.existsSync(filePath)) {
+      const raw = await fs.promises.readFile(filePath, 'utf8');
+      data = JSON.parse(raw);
+      if (!data.tables) data.tables = {};
+      console.log(`[LocalStorage] Loaded ${filePath}`);
+    } else {
+      data = emptyData();
+      console.log(`[LocalStorage] Starting with empty tables${filePath ? ` (${filePath} will be created on first write)` : ' (in-memory)'}`);
+    }
+    return true;
+  }
+
+  // 依序寫入，避免同時寫檔造成內容錯亂
+  function persist() {
+    if (!filePath) return Promise.resolve();
+    writeChain = writeChain.then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+      await fs.promises.rename(tmpPath, filePath);
+    }).catch(error => {
+      console.error(`[LocalStorage] Failed to write ${filePath}:`, error.message);
+    });
+    return writeChain;
+  }
+
+  function createRow(records, record) {
+    let deleted = false;
+    return {
+      get: (key) => record[key],
+      set: (key, value) => { record[key] = normalizeValue(value); },
+      assign(values) {
+        Object.keys(values).forEach(key => this.set(key, values[key]));
+      },
+      toObject: () => ({ ...record }),
+      save: async () => {
+        if (deleted) throw new Error('Cannot save a deleted row');
+        await persist();
+      },
+      delete: async () => {
+        const index = records.indexOf(record);
+        if (index !== -1) records.splice(index, 1);
+        deleted = true;
+        await persist();
+      },
+    };
+  }
+
+  function getRecords(name) {
+    if (!data) throw new Error('Local storage is not loaded yet');
+    if (!data.tables[name]) data.tables[name] = [];
+    return data.tables[name];
+  }
+
+  async function getTable(name) {
+    const records = getRecords(name);
+    return {
+      name,
+      getRows: async () => records.map(record => createRow(records, record)),
+      addRow: async (values) => {
+        const record = {};
+        (getTableColumns(name) || []).forEach(col => { record[col] = ''; });
+        Object.keys(values).forEach(key => { record[key] = normalizeValue(values[key]); });
+        records.push(record);
+        await persist();
+        return createRow(records, record);
+      },
+    };
+  }
+
+  return {
+    backend: 'local',
+    load,
+    isLoaded: () => !!data,
+    getTitle: () => (data ? title : null),
+    getTable,
+    // 本機版本的資料表都是按需建立
+    ensureTable: getTable,
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,27 @@
+// ========================================
+// 資料表欄位定義（Google Sheets 與本機儲存共用）
+// ========================================
+// Sheets 版本會在第一次使用資料表時補上缺少的欄位；
+// 本機版本則依此建立空白資料表。
+
+const TABLE_COLUMNS = {
+  Users: ['userId', 'status', 'currentTheme', 'currentWeek', 'lastQuestionId', 'noResponseWeek', 'lastActive', 'CreatedAt', 'timezone', 'deliverySlot', 'lastAnswerId', 'lastAnsweredAt', 'pausedUntil', 'aiOptOut', 'programId', 'programWeek', 'programStartedAt', 'richMenu', 'locale', 'milestones', 'richMenuLocale'],
+  Answers: ['AnswerID', 'userId', 'week', 'theme', 'day', 'questionId', 'question', 'answer', 'answerType', 'mediaRefs', 'skipped', 'timestamp', 'editHistory', 'updatedAt'],
+  Questions: ['QuestionID', 'Theme', 'Day', 'Question', 'Active', 'Weight', 'Tags', 'Difficulty', 'QuestionSet', 'Locale'],
+  Themes: ['ThemeID', 'Name', 'Description', 'ConfirmText', 'Order', 'Active', 'Locale'],
+  Programs: ['ProgramID', 'Name', 'Description', 'Week', 'Theme', 'QuestionSet', 'Message', 'Active'],
+  Messages: ['MessageID', 'Message', 'Buttons', 'Active', 'QuickReplies', 'Locale'],
+  MonthlyInsights: ['InsightID', 'UserID', 'Month', 'AIInsight', 'PromptTokens', 'CompletionTokens', 'LlmCalls', 'PromptStrategy', 'CreatedAt'],
+  Reflections: ['ReflectionID', 'UserID', 'Kind', 'RangeStart', 'RangeEnd', 'Theme', 'AIInsight', 'PromptTokens', 'CompletionTokens', 'LlmCalls', 'CreatedAt'],
+  WeeklyInsights: ['InsightID', 'UserID', 'Week', 'AIInsight', 'AnswerCount', 'AnswerDigest', 'CreatedAt'],
+  RunLedger: ['RunID', 'Job', 'TargetDate', 'UserID', 'Outcome', 'Detail', 'CreatedAt'],
+  StatusHistory: ['HistoryID', 'UserID', 'FromStatus', 'ToStatus', 'Event', 'Accepted', 'Context', 'CreatedAt'],
+  RichMenus: ['MenuKey', 'RichMenuID', 'Name', 'DeployedAt', 'Locale'],
+  DeadLetters: ['LetterID', 'Kind', 'Recipients', 'Messages', 'Context', 'LastError', 'StatusCode', 'Attempts', 'Status', 'CreatedAt', 'UpdatedAt'],
+};
+
+function getTableColumns(name) {
+  return TABLE_COLUMNS[name] || null;
+}
+
+module.exports = { TABLE_COLUMNS, getTableColumns };
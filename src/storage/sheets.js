@@ -0,0 +1,119 @@
+// ========================================
+// Google Sheets 儲存實作
+// ========================================
+const { GoogleSpreadsheet } = require('google-spreadsheet');
+const { getTableColumns } = require('./schema');
+
+function createSheetsStorage({ spreadsheetId, auth }) {
+  const doc = new GoogleSpreadsheet(spreadsheetId, auth);
+  // 每個工作表在這個進程裡只檢查一次欄位
+  const checkedSheets = new Set();
+
+  // 安全的 loadInfo 包裝函數，帶重試機制和詳細錯誤處理
+  async function safeLoadInfo(maxRetries = 3, timeout = 10000) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        console.log(`[safeLoadInfo] Attempt ${attempt}/${maxRetries} to load spreadsheet info`);
+        await Promise.race([
+          doc.loadInfo(),
+          new Promise((_, reject) =>
+            setTimeout(() => reject(new Error(`Spreadsheet load timeout after ${timeout}ms`)), timeout)
+          )
+        ]);
+        console.log(`[safeLoadInfo] Successfully loaded spreadsheet: ${doc.title}`);
+        return true;
+      } catch (error) {
+        console.error(`[safeLoadInfo] Attempt ${attempt} failed:`, error.message);
+        if (error.response) {
+          console.error(`[safeLoadInfo] API Response Status: ${error.response.status}`);
+          console.error(`[safeLoadInfo] API Response Data:`, JSON.stringify(error.response.data, null, 2));
+        }
+
+        // 如果是最後一次嘗試，拋出錯誤
+        if (attempt === maxRetries) {
+          console.error(`[safeLoadInfo] All ${maxRetries} attempts failed`);
+          throw error;
+        }
+
+        // 等待後重試（指數退避）
+        const waitTime = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
+        console.log(`[safeLoadInfo] Waiting ${waitTime}ms before retry...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    }
+  }
+
+  function isLoaded() {
+    try {
+      // 如果還沒有載入，存取 title 會拋出錯誤
+      return !!doc.title;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // 補上 schema 裡有、但工作表標題列還沒有的欄位
+  async function ensureColumns(sheet) {
+    if (checkedSheets.has(sheet.title)) return;
+    const columns = getTableColumns(sheet.title);
+    if (!columns) {
+      checkedSheets.add(sheet.title);
+      return;
+    }
+
+    await sheet.loadHeaderRow();
+    const headers = sheet.headerValues.filter(Boolean);
+    const missing = columns.filter(col => !headers.includes(col));
+    if (missing.length > 0) {
+      const nextHeaders = [...headers, ...missing];
+      console.log(`[SheetsStorage] Adding columns to '${sheet.title}': ${missing.join(', ')}`);
+      if (nextHeaders.length > sheet.columnCount) {
+        await sheet.resize({ rowCount: sheet.rowCount, columnCount: nextHeaders.length });
+      }
+      await sheet.setHeaderRow(nextHeaders);
+    }
+    checkedSheets.add(sheet.title);
+  }
+
+  function wrapSheet(sheet) {
+    // GoogleSpreadsheetRow 本身已提供 get / set / save / toObject / delete
+    return {
+      name: sheet.title,
+      getRows: () => sheet.getRows(),
+      addRow: (values) => sheet.addRow(values),
+    };
+  }
+
+  async function getTable(name) {
+    const sheet = doc.sheetsByTitle[name];
+    if (!sheet) return null;
+    await ensureColumns(sheet);
+    return wrapSheet(sheet);
+  }
+
+  // 與 getTable 相同，但工作表不存在時依 schema 建立
+  async function ensureTable(name) {
+    const existing = await getTable(name);
+    if (existing) return existing;
+
+    const columns = getTableColumns(name);
+    if (!columns) {
+      throw new Error(`No schema defined for table '${name}'`);
+    }
+    console.log(`[SheetsStorage] Creating sheet '${name}'`);
+    const sheet = await doc.addSheet({ title: name, headerValues: columns });
+    checkedSheets.add(name);
+    return wrapSheet(sheet);
+  }
+
+  return {
+    backend: 'sheets',
+    load: ({ maxRetries, timeout } = {}) => safeLoadInfo(maxRetries, timeout),
+    isLoaded,
+    getTitle: () => (isLoaded() ? doc.title : null),
+    getTable,
+    ensureTable,
+  };
+}
+
+module.exports = { createSheetsStorage };
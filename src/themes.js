@@ -0,0 +1,132 @@
+// ========================================
+// 主題定義（Themes 資料表）
+// ========================================
+// Themes 資料表一列一個主題：
+//   ThemeID      主題代碼，Questions / Answers / Programs 的 Theme 欄位都用這個代碼
+//   Name         顯示名稱
+//   Description  選單上的說明（選填）
+//   ConfirmText  選好主題後的回覆，可以用【主題】代入名稱（選填）
+//   Order        選單上的順序（選填，小的在前）
+//   Active       TRUE 才會出現在選單上
+//   Locale       語系（空白 = 預設語系）；同一個 ThemeID 可以有多列，依使用者語系挑最符合的一列
+// 沒有 Themes 資料表（或裡面沒有啟用的主題）時使用 DEFAULT_THEMES，名稱是 nameId 對應的 MessageID。
+// 純函式，不直接讀寫資料表；顯示文字由呼叫端依語系傳入。
+const { formatMessage, pickLocalized } = require('./i18n');
+
+const DEFAULT_THEMES = [
+  { code: 'SELF', nameId: 'THEME_NAME_SELF', order: 1 },
+  { code: 'CREATION', nameId: 'THEME_NAME_CREATION', order: 2 },
+  { code: 'FAMILY', nameId: 'THEME_NAME_FAMILY', order: 3 },
+];
+
+// LINE 的限制：buttons template 最多 4 個按鈕、carousel 最多 10 欄、quick reply 最多 13 個
+const MAX_BUTTONS = 4;
+const MAX_CAROUSEL_COLUMNS = 10;
+const MAX_QUICK_REPLY_ITEMS = 13;
+
+// rows：[{ ThemeID, Name, Description, ConfirmText, Order, Active, Locale }]，回傳依 Order 排序、已啟用的主題
+// defaultNames：{ SELF: '自己', ... }，使用者語系的 DEFAULT_THEMES 名稱；Themes 沒有填 Name 時也用這個名稱
+function buildThemes(rows, locale, defaultNames = {}) {
+  const byCode = new Map();
+  rows
+    .filter(row => (row.Active === 'TRUE' || row.Active === true) && String(row.ThemeID || '').trim())
+    .forEach((row, index) => {
+      const code = String(row.ThemeID).trim().toUpperCase();
+      if (!byCode.has(code)) byCode.set(code, []);
+      byCode.get(code).push({ row, index });
+    });
+
+  const themes = Array.from(byCode.entries())
+    .map(([code, candidates]) => {
+      const { row, index } = pickLocalized(candidates, locale, candidate => candidate.row.Locale);
+      return {
+        code,
+        name: row.Name || defaultNames[code] || code,
+        description: row.Description || '',
+        confirmText: row.ConfirmText || '',
+        order: row.Order === undefined || row.Order === '' ? index + 1 : Number(row.Order),
+      };
+    })
+    .sort((a, b) => a.order - b.order);
+  if (themes.length > 0) return themes;
+
+  return DEFAULT_THEMES.map(({ code, order }) => ({
+    code,
+    name: defaultNames[code] || code,
+    description: '',
+    confirmText: '',
+    order,
+  }));
+}
+
+// { SELF: '自己', ... }，給只需要顯示名稱的地方使用
+function toThemeMap(themes) {
+  return themes.reduce((map, theme) => ({ ...map, [theme.code]: theme.name }), {});
+}
+
+// 代碼或名稱都可以（/theme SELF、/theme 家庭）
+function findTheme(themes, text) {
+  const value = String(text || '').trim();
+  if (!value) return null;
+  return themes.find(theme => theme.code === value.toUpperCase() || theme.name === value) || null;
+}
+
+function selectAction(theme, label) {
+  return {
+    type: 'postback',
+    label: String(label).substring(0, 20),
+    data: `action=select_theme&theme=${theme.code}`,
+    displayText: theme.name,
+  };
+}
+
+// 主題數量決定選單的形式，回傳要一起送出的訊息陣列：
+//   4 個以內  buttons template
+//   10 個以內 文字訊息 + carousel（每個主題一欄，可以顯示說明）
+//   更多      文字訊息 + quick reply（最多 13 個）
+// labels：carousel 用的文字（使用者語系的 THEME_PICKER_SELECT / THEME_PICKER_DESCRIPTION）
+//   selectLabel  每一欄的按鈕
+//   description  主題沒有說明時顯示的文字，【主題】代入名稱
+function buildThemePicker(text, themes, { selectLabel, description }) {
+  const altText = String(text).substring(0, 400);
+
+  if (themes.length <= MAX_BUTTONS) {
+    return [{
+      type: 'template',
+      altText,
+      template: {
+        type: 'buttons',
+        text: String(text).substring(0, 160),
+        actions: themes.map(theme => selectAction(theme, theme.name)),
+      },
+    }];
+  }
+
+  if (themes.length <= MAX_CAROUSEL_COLUMNS) {
+    return [{ type: 'text', text: String(text).substring(0, 5000) }, {
+      type: 'template',
+      altText,
+      template: {
+        type: 'carousel',
+        columns: themes.map(theme => ({
+          title: theme.name.substring(0, 40),
+          text: (theme.description || formatMessage(description, { 主題: theme.name })).substring(0, 60),
+          actions: [selectAction(theme, selectLabel)],
+        })),
+      },
+    }];
+  }
+
+  if (themes.length > MAX_QUICK_REPLY_ITEMS) {
+    console.warn(`[buildThemePicker] ${themes.length} themes exceed the quick reply limit (${MAX_QUICK_REPLY_ITEMS}). Only the first ${MAX_QUICK_REPLY_ITEMS} will be shown.`);
+  }
+  return [{
+    type: 'text',
+    text: String(text).substring(0, 5000),
+    quickReply: {
+      items: themes.slice(0, MAX_QUICK_REPLY_ITEMS).map(theme => ({ type: 'action', action: selectAction(theme, theme.name) })),
+    },
+  }];
+}
+
+module.exports = { DEFAULT_THEMES, buildThemes, toThemeMap, findTheme, buildThemePicker };
@@ -0,0 +1,127 @@
+// ========================================
+// 時區相關的日期工具
+// ========================================
+// 所有「今天是哪一天 / 第幾週 / 哪個月」的判斷都以使用者的時區計算，
+// 不依賴伺服器本身的時區（Render / Vercel 都是 UTC）。
+
+const DEFAULT_TIMEZONE = 'Asia/Taipei';
+const DAY_STRINGS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const formatterCache = new Map();
+
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// 無效或空白的時區一律退回預設值
+function resolveTimezone(timeZone) {
+  return isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+}
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+// 取得某個時間點在指定時區的年月日、時分與星期（0 = 週日）
+function getZonedParts(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  getFormatter(resolveTimezone(timeZone)).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: DAY_STRINGS.indexOf(parts.weekday.toUpperCase()),
+  };
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+// YYYY-MM-DD
+function getDateString(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad2(month)}-${pad2(day)}`;
+}
+
+// YYYY-MM
+function getMonthString(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const { year, month } = getZonedParts(date, timeZone);
+  return `${year}-${pad2(month)}`;
+}
+
+// MON / TUE / ...
+function getDayString(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  return DAY_STRINGS[getZonedParts(date, timeZone).weekday] || '';
+}
+
+// 日期字串加減天數（純日曆計算，與時區無關）
+function addDays(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return d.toISOString().split('T')[0];
+}
+
+// ISO 8601 週次，格式 YYYY-Www
+function getWeekStringForDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const d = new Date(Date.UTC(year, month - 1, day));
+  const dayNum = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const weekNum = Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+  return d.getUTCFullYear() + '-W' + pad2(weekNum);
+}
+
+function getWeekString(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  return getWeekStringForDate(getDateString(date, timeZone));
+}
+
+// 在使用者時區中，今天是否為該月最後一天
+function isLastDayOfMonth(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const tomorrow = addDays(getDateString(date, timeZone), 1);
+  return tomorrow.endsWith('-01');
+}
+
+// 在使用者時區中，今天是否為 12 月 31 日
+function isLastDayOfYear(date = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  return getDateString(date, timeZone).endsWith('-12-31');
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DAY_STRINGS,
+  isValidTimezone,
+  resolveTimezone,
+  getZonedParts,
+  getDateString,
+  getMonthString,
+  getDayString,
+  getWeekString,
+  getWeekStringForDate,
+  addDays,
+  isLastDayOfMonth,
+  isLastDayOfYear,
+};
@@ -0,0 +1,135 @@
+// ========================================
+// 使用者狀態機
+// ========================================
+// 使用者的 status 只能透過「事件」改變，每個事件宣告允許的來源狀態與目標狀態。
+// 不在允許清單內的轉換會被拒絕（狀態不變），並和成功的轉換一樣寫入 StatusHistory，
+// 方便回頭查「這位使用者為什麼卡在 waiting_theme」。
+
+const STATES = {
+  NEW: 'new',
+  IDLE: 'idle',
+  WAITING_MONDAY: 'waiting_monday',
+  WAITING_THEME: 'waiting_theme',
+  WAITING_ANSWER: 'waiting_answer',
+  ACTIVE: 'active',
+  EDITING_ANSWER: 'editing_answer',
+  SATURDAY_SHOWED_RECORD: 'saturday_showed_record',
+  INACTIVE: 'inactive', // 封鎖或刪除好友，不再推播
+};
+
+const EVENTS = {
+  WELCOMED_ON_MONDAY: 'welcomed_on_monday',   // 週一加入，直接請使用者選主題
+  WELCOMED_OTHER_DAY: 'welcomed_other_day',   // 其他日子加入，等到下週一
+  START_REQUESTED: 'start_requested',         // 按下「現在開始 / 開始這週」
+  POSTPONED: 'postponed',                     // 按下「晚點再說」
+  THEME_SELECTED: 'theme_selected',           // 選好本週主題
+  MONDAY_PROMPT_SENT: 'monday_prompt_sent',   // 週一排程送出主題選擇
+  QUESTION_SENT: 'question_sent',             // 送出每日問題
+  ANSWER_SAVED: 'answer_saved',               // 回答已存檔
+  EDIT_REQUESTED: 'edit_requested',           // 按下「修改回答」，下一則訊息會取代今天的回答
+  ANSWER_EDITED: 'answer_edited',             // 修改後的回答已存檔
+  RECORD_SHOWN: 'record_shown',               // 週六看過本週紀錄
+  REVIEW_FINISHED: 'review_finished',         // 看完紀錄後又傳了訊息
+  UNFOLLOWED: 'unfollowed',                   // 使用者封鎖或刪除好友
+  REFOLLOWED: 'refollowed',                   // 封鎖後又重新加入，從頭開始
+};
+
+const ALL_STATES = Object.values(STATES);
+const FOLLOWING_STATES = ALL_STATES.filter(state => state !== STATES.INACTIVE);
+const ONBOARDING_STATES = [STATES.NEW, STATES.IDLE, STATES.WAITING_MONDAY];
+
+const TRANSITIONS = {
+  [EVENTS.WELCOMED_ON_MONDAY]: { from: ONBOARDING_STATES, to: STATES.WAITING_THEME },
+  [EVENTS.WELCOMED_OTHER_DAY]: { from: ONBOARDING_STATES, to: STATES.WAITING_MONDAY },
+  // 舊訊息上的按鈕隨時可能被按到，開始與選主題在任何狀態都允許
+  [EVENTS.START_REQUESTED]: { from: FOLLOWING_STATES, to: STATES.WAITING_THEME },
+  [EVENTS.THEME_SELECTED]: { from: FOLLOWING_STATES, to: STATES.ACTIVE },
+  [EVENTS.POSTPONED]: { from: [...ONBOARDING_STATES, STATES.WAITING_THEME], to: STATES.WAITING_MONDAY },
+  [EVENTS.MONDAY_PROMPT_SENT]: {
+    from: [STATES.WAITING_MONDAY, STATES.SATURDAY_SHOWED_RECORD, STATES.ACTIVE, STATES.EDITING_ANSWER],
+    to: STATES.WAITING_THEME,
+  },
+  // 沿用上週主題的 waiting_theme 使用者也照常收到問題；修改到一半的回答會被新問題取代
+  [EVENTS.QUESTION_SENT]: {
+    from: [STATES.ACTIVE, STATES.WAITING_ANSWER, STATES.WAITING_THEME, STATES.SATURDAY_SHOWED_RECORD, STATES.EDITING_ANSWER],
+    to: STATES.WAITING_ANSWER,
+  },
+  [EVENTS.ANSWER_SAVED]: { from: [STATES.WAITING_ANSWER], to: STATES.ACTIVE },
+  [EVENTS.EDIT_REQUESTED]: { from: [STATES.ACTIVE, STATES.EDITING_ANSWER], to: STATES.EDITING_ANSWER },
+  [EVENTS.ANSWER_EDITED]: { from: [STATES.EDITING_ANSWER], to: STATES.ACTIVE },
+  [EVENTS.RECORD_SHOWN]: {
+    from: [STATES.ACTIVE, STATES.WAITING_ANSWER, STATES.SATURDAY_SHOWED_RECORD, STATES.EDITING_ANSWER],
+    to: STATES.SATURDAY_SHOWED_RECORD,
+  },
+  [EVENTS.REVIEW_FINISHED]: { from: [STATES.SATURDAY_SHOWED_RECORD], to: STATES.ACTIVE },
+  [EVENTS.UNFOLLOWED]: { from: FOLLOWING_STATES, to: STATES.INACTIVE },
+  [EVENTS.REFOLLOWED]: { from: [STATES.INACTIVE], to: STATES.NEW },
+};
+
+const HISTORY_TABLE = 'StatusHistory';
+
+// 空白的 status 視為 new（舊資料或剛建立的列）
+function normalizeStatus(status) {
+  return status || STATES.NEW;
+}
+
+// 回傳 { allowed, from, to, reason }
+function resolveTransition(currentStatus, event) {
+  const from = normalizeStatus(currentStatus);
+  const transition = TRANSITIONS[event];
+  if (!transition) {
+    return { allowed: false, from, to: null, reason: `Unknown event '${event}'` };
+  }
+  if (!transition.from.includes(from)) {
+    return { allowed: false, from, to: transition.to, reason: `Event '${event}' is not allowed from '${from}'` };
+  }
+  return { allowed: true, from, to: transition.to, reason: '' };
+}
+
+function canTransition(currentStatus, event) {
+  return resolveTransition(currentStatus, event).allowed;
+}
+
+function createStatusHistory(storage) {
+  async function record({ userId, from, to, event, accepted, context = '' }) {
+    try {
+      const table = await storage.ensureTable(HISTORY_TABLE);
+      const now = new Date();
+      await table.addRow({
+        HistoryID: 'H' + now.getTime() + Math.floor(Math.random() * 1000),
+        UserID: userId,
+        FromStatus: from,
+        ToStatus: to || '',
+        Event: event,
+        Accepted: accepted,
+        Context: String(context || '').substring(0, 300),
+        CreatedAt: now,
+      });
+    } catch (error) {
+      // 歷史紀錄失敗不影響狀態本身
+      console.error(`[StatusHistory] Failed to record ${event} for user ${userId}:`, error.message);
+    }
+  }
+
+  async function listForUser(userId, { limit = 50 } = {}) {
+    const table = await storage.ensureTable(HISTORY_TABLE);
+    const rows = await table.getRows();
+    return rows
+      .filter(row => row.get('UserID') === userId)
+      .slice(-limit)
+      .map(row => row.toObject());
+  }
+
+  return { record, listForUser };
+}
+
+module.exports = {
+  STATES,
+  EVENTS,
+  TRANSITIONS,
+  HISTORY_TABLE,
+  normalizeStatus,
+  resolveTransition,
+  canTransition,
+  createStatusHistory,
+};